@@ -1,17 +1,55 @@
 /**
  * BubbleManager - Manages creation, positioning, and animation of portfolio bubbles
+ * Bubbles are arranged by a layout strategy from bubbleLayouts.js (a Fibonacci
+ * sphere by default), which can be switched live with setLayout()
+ *
+ * Items can set their bubble's size with `weight`, and `featured` ones are
+ * enlarged, ringed and placed at the front of the layout.
+ *
+ * Items with a `category` can be grouped: as labeled clusters, or as "wing"
+ * bubbles that stand in for their members until expanded (see expandGroup)
  */
 class BubbleManager {
-  constructor(container, data) {
+  /**
+   * @param {HTMLElement} container - Museum space container
+   * @param {Array} data - Portfolio items
+   * @param {Object} options - Optional settings
+   * @param {String|Object} options.layout - Layout name, or { name, ...options } (see BUBBLE_LAYOUTS)
+   * @param {Number|String} options.seed - Seed for layout offsets and generated colors (see getSceneSeed)
+   * @param {String} options.grouping - 'clusters' or 'wings' to group items by category (needs at least one categorized item)
+   * @param {Object} options.viewRotation - Starting camera rotation ({ x, y }) that featured bubbles are placed in front of
+   */
+  constructor(container, data, options = {}) {
     // DOM reference
     this.container = container;
     
     // Portfolio data
     this.data = data;
     
+    // Everything random in the scene comes from this seed, so the same data and
+    // seed always give the same layout and palette
+    this.seed = options.seed !== undefined ? options.seed : DEFAULT_SCENE_SEED;
+    
+    // Layout strategy (throws for unknown layouts, so config mistakes show up early)
+    this.layout = getBubbleLayoutConfig(options.layout || 'sphere');
+    this.viewRotation = options.viewRotation || { x: 0, y: 0 };
+    this.LAYOUT_TRANSITION_DURATION = 1500; // ms, matches .bubble.bubble-animating
+    
     // Array to store bubble state objects
     this.bubbles = [];
     
+    // Category groups ({ name, element, members, center, labelPosition }), see createGroups()
+    const hasCategories = data.some(item => item.category);
+    this.grouping = hasCategories && BubbleManager.GROUPINGS.includes(options.grouping) ? options.grouping : null;
+    this.groups = [];
+    this.expandedGroup = null;
+    this.onGroupChange = null; // Optional callback, called with the expanded group (or null) when it changes
+    this.GROUP_LABEL_GAP = 60; // Space between a cluster and its label
+    this.WING_SCALE = 1.4; // Wing bubble size relative to a normal bubble
+    
+    // Container center, perspective and bubble size for hit-testing (see measureViewport)
+    this.viewport = null;
+    
     // Constants for sphere distribution
     this.SPHERE_RADIUS = 500; // Base radius for bubble positioning
     this.MIN_RADIUS = 400;
@@ -27,44 +65,39 @@ class BubbleManager {
   }
 
   /**
-   * Calculate bubble positions using Fibonacci sphere algorithm
-   * Distributes points evenly on a sphere surface
-   * @returns {Array} Array of position objects with spherical and Cartesian coordinates
+   * Calculate bubble positions with the current layout strategy
+   * Featured items take the positions front-most in the starting view
+   * @returns {Array} Array of position objects ({ x, y, z }, in data order)
    */
   calculateBubblePositions() {
-    const positions = [];
-    const numBubbles = this.data.length;
-    const goldenRatio = (1 + Math.sqrt(5)) / 2;
-    const angleIncrement = Math.PI * 2 * goldenRatio;
-
-    for (let i = 0; i < numBubbles; i++) {
-      // Fibonacci sphere algorithm
-      const t = i / numBubbles;
-      const phi = Math.acos(1 - 2 * t); // Polar angle (0 to PI)
-      const theta = angleIncrement * i; // Azimuthal angle
-
-      // Add random offset for organic appearance
-      const radiusOffset = (Math.random() - 0.5) * this.POSITION_OFFSET;
-      const radius = this.SPHERE_RADIUS + radiusOffset;
-
-      // Convert spherical coordinates to Cartesian (x, y, z)
-      const x = radius * Math.sin(phi) * Math.cos(theta);
-      const y = radius * Math.sin(phi) * Math.sin(theta);
-      const z = radius * Math.cos(phi);
-
-      positions.push({
-        // Spherical coordinates
-        radius: radius,
-        theta: theta,
-        phi: phi,
-        // Cartesian coordinates
-        x: x,
-        y: y,
-        z: z
-      });
-    }
+    const layout = BUBBLE_LAYOUTS[this.layout.name];
+    // A fresh generator per call, so switching back to a layout restores it exactly
+    const options = Object.assign({
+      radius: this.SPHERE_RADIUS,
+      jitter: this.POSITION_OFFSET,
+      random: createSeededRandom(`${this.seed}:layout`)
+    }, this.layout.options);
+
+    // Clusters would come apart if featured items swapped across categories
+    return pinFeaturedToFront(this.data, layout(this.data, options), this.viewRotation, this.layout.name === 'clusters');
+  }
 
-    return positions;
+  /**
+   * Switch to another layout, gliding every bubble to its new place
+   * Uses the same transition as the entrance animation (.bubble-animating)
+   * @param {String|Object} layout - Layout name, or { name, ...options }
+   * @throws {Error} If the layout is unknown
+   */
+  setLayout(layout) {
+    this.layout = getBubbleLayoutConfig(layout);
+    const positions = this.calculateBubblePositions();
+
+    this.bubbles.forEach((bubble, index) => {
+      bubble.position = positions[index];
+    });
+
+    this.updateGroupPositions();
+    this.animateBubbles(this.bubbles);
   }
 
   /**
@@ -88,7 +121,7 @@ class BubbleManager {
       // Accessibility attributes
       bubble.setAttribute('role', 'button');
       bubble.setAttribute('tabindex', '0');
-      bubble.setAttribute('aria-label', `View ${item.title} portfolio item`);
+      bubble.setAttribute('aria-label', `View ${item.featured ? 'featured ' : ''}${item.title} portfolio item`);
 
       // Create inner structure
       const bubbleInner = document.createElement('div');
@@ -114,10 +147,17 @@ class BubbleManager {
       bubble.appendChild(bubbleInner);
       bubble.appendChild(bubbleLabel);
 
-      // Set bubble color (from data or generate random)
-      const color = item.color || this.generateRandomColor();
+      // Set bubble color (from data or generated from the seed)
+      const color = getItemColor(item, this.seed);
       bubble.style.setProperty('--bubble-color', color);
 
+      // Size from the item's weight, on top of hover/selection --scale
+      const itemScale = getItemScale(item);
+      bubble.style.setProperty('--item-scale', itemScale);
+      if (item.featured) {
+        bubble.classList.add('featured');
+      }
+
       // Start bubbles at center (0, 0, 0) for animation
       bubble.style.setProperty('--x', '0px');
       bubble.style.setProperty('--y', '0px');
@@ -132,8 +172,11 @@ class BubbleManager {
         element: bubble,
         position: position,
         data: item,
+        scale: itemScale,
+        screen: null, // Last projected screen circle, see updateBubbles()
         isHovered: false,
-        isSelected: false
+        isSelected: false,
+        isFilteredOut: false
       });
 
       // Append to container
@@ -144,7 +187,8 @@ class BubbleManager {
         bubble.style.setProperty('--x', `${position.x}px`);
         bubble.style.setProperty('--y', `${position.y}px`);
         bubble.style.setProperty('--z', `${position.z}px`);
-        bubble.style.setProperty('--scale', '1');
+        // Hand the scale back to the stylesheet, so hover and selection can enlarge it
+        bubble.style.removeProperty('--scale');
         
         // Remove animation class after animation completes
         setTimeout(() => {
@@ -152,44 +196,271 @@ class BubbleManager {
         }, 1500);
       }, 100 + index * 50); // Stagger animation for each bubble
     });
+    
+    if (this.grouping) {
+      this.createGroups();
+    }
+    
+    this.measureViewport();
+  }
+
+  /**
+   * Measure what hit-testing needs from the page: the container's center and
+   * perspective, and the bubble size set by the stylesheet
+   * Reads layout, so call it only when that changes (e.g. after a resize)
+   */
+  measureViewport() {
+    const rect = this.container.getBoundingClientRect();
+    const style = window.getComputedStyle(this.container);
+    // offsetWidth ignores transforms, so it is the unscaled size from the CSS
+    const sample = this.bubbles.length > 0 ? this.bubbles[0].element.offsetWidth : 0;
+
+    this.viewport = {
+      centerX: rect.left + rect.width / 2,
+      centerY: rect.top + rect.height / 2,
+      perspective: parseFloat(style.perspective) || 1000,
+      bubbleSize: sample || parseFloat(style.getPropertyValue('--bubble-size')) || 120
+    };
+  }
+
+  /**
+   * Create the category groups: a label per cluster, or a wing bubble per wing
+   * Wings start collapsed, their members hidden inside them
+   */
+  createGroups() {
+    getCategoryGroups(this.data).forEach(category => {
+      const group = {
+        name: category.name,
+        members: category.indices.map(index => this.bubbles[index]),
+        element: null,
+        center: { x: 0, y: 0, z: 0 },
+        labelPosition: { x: 0, y: 0, z: 0 },
+        scale: this.grouping === 'wings' ? this.WING_SCALE : 1,
+        screen: null,
+        isHovered: false,
+        isSelected: false,
+        isFilteredOut: false
+      };
+      
+      const count = group.members.length;
+      const countText = `${count} exhibitor${count === 1 ? '' : 's'}`;
+      let element;
+      
+      if (this.grouping === 'wings') {
+        // Looks like a bubble, but stands for a whole category
+        element = document.createElement('div');
+        element.className = 'bubble wing-bubble';
+        element.setAttribute('role', 'button');
+        element.setAttribute('tabindex', '0');
+        element.setAttribute('aria-expanded', 'false');
+        element.setAttribute('aria-label', `Open the ${group.name} wing, ${countText}`);
+        element.style.setProperty('--bubble-color', getItemColor({ id: `wing:${group.name}` }, this.seed));
+        element.style.setProperty('--item-scale', group.scale);
+        
+        const inner = document.createElement('div');
+        inner.className = 'bubble-inner';
+        const badge = document.createElement('span');
+        badge.className = 'wing-count';
+        badge.textContent = count;
+        badge.setAttribute('aria-hidden', 'true');
+        inner.appendChild(badge);
+        
+        const label = document.createElement('div');
+        label.className = 'bubble-label';
+        label.textContent = group.name;
+        label.setAttribute('aria-hidden', 'true');
+        
+        element.appendChild(inner);
+        element.appendChild(label);
+      } else {
+        element = document.createElement('button');
+        element.className = 'cluster-label';
+        element.textContent = group.name;
+        element.setAttribute('aria-label', `Zoom into ${group.name}, ${countText}`);
+      }
+      
+      element.setAttribute('data-group', group.name);
+      group.element = element;
+      group.members.forEach(bubble => {
+        bubble.group = group;
+      });
+      
+      this.groups.push(group);
+      this.container.appendChild(element);
+    });
+    
+    this.updateGroupPositions();
+    this.bubbles.forEach(bubble => this.updateBubbleAvailability(bubble));
+  }
+
+  /**
+   * Place each group at the middle of its members, and its label just above them
+   */
+  updateGroupPositions() {
+    this.groups.forEach(group => {
+      const count = group.members.length;
+      const center = { x: 0, y: 0, z: 0 };
+      
+      group.members.forEach(bubble => {
+        center.x += bubble.position.x / count;
+        center.y += bubble.position.y / count;
+        center.z += bubble.position.z / count;
+      });
+      
+      const spread = Math.max(...group.members.map(bubble => Math.sqrt(
+        Math.pow(bubble.position.x - center.x, 2) +
+        Math.pow(bubble.position.y - center.y, 2) +
+        Math.pow(bubble.position.z - center.z, 2)
+      )));
+      
+      group.center = center;
+      // Screen y points down, so above is -y
+      group.labelPosition = { x: center.x, y: center.y - spread - this.GROUP_LABEL_GAP, z: center.z };
+    });
+  }
+
+  /**
+   * Record a bubble's hover or selection, so hit-testing matches its drawn size
+   * (see getBubbleScale); InteractionHandler keeps these in step with the
+   * .hovered and .selected classes
+   * @param {HTMLElement} element - Bubble or wing element
+   * @param {String} flag - 'isHovered' or 'isSelected'
+   * @param {Boolean} value - New state
+   */
+  setBubbleFlag(element, flag, value) {
+    const state = this.bubbles.find(bubble => bubble.element === element) ||
+      this.groups.find(group => group.element === element);
+
+    if (state) {
+      state[flag] = value;
+    }
+  }
+
+  /**
+   * Find a group by category name
+   * @param {String} name - Category name
+   * @returns {Object|null} Group
+   */
+  getGroup(name) {
+    return this.groups.find(group => group.name === name) || null;
+  }
+
+  /**
+   * Check if a bubble is hidden inside its closed wing
+   * @param {Object} bubble - Bubble state
+   * @returns {Boolean} True if collapsed
+   */
+  isCollapsed(bubble) {
+    return this.grouping === 'wings' && Boolean(bubble.group) && bubble.group !== this.expandedGroup;
+  }
+
+  /**
+   * Check if a bubble can be focused, clicked or navigated to
+   * @param {Object} bubble - Bubble state
+   * @returns {Boolean} True unless filtered out by search or collapsed into a wing
+   */
+  isAvailable(bubble) {
+    return !bubble.isFilteredOut && !this.isCollapsed(bubble);
+  }
+
+  /**
+   * Sync a bubble's classes and accessibility attributes with its state
+   * @param {Object} bubble - Bubble state
+   */
+  updateBubbleAvailability(bubble) {
+    const available = this.isAvailable(bubble);
+    
+    bubble.element.classList.toggle('filtered-out', bubble.isFilteredOut);
+    bubble.element.classList.toggle('collapsed', this.isCollapsed(bubble));
+    bubble.element.setAttribute('tabindex', available ? '0' : '-1');
+    bubble.element.setAttribute('aria-hidden', available ? 'false' : 'true');
+  }
+
+  /**
+   * Zoom into a group: opens a wing (closing any other) or marks a cluster as current
+   * @param {String|null} name - Category name, or null to go back to all groups
+   * @returns {Object|null} The expanded group
+   */
+  expandGroup(name) {
+    const group = name === null ? null : this.getGroup(name);
+    if (group === this.expandedGroup) return group;
+    
+    const changed = [this.expandedGroup, group].filter(Boolean);
+    this.expandedGroup = group;
+    
+    this.groups.forEach(other => {
+      const isExpanded = other === group;
+      other.element.classList.toggle('expanded', isExpanded);
+      if (this.grouping === 'wings') {
+        other.element.setAttribute('aria-expanded', isExpanded ? 'true' : 'false');
+        // The open wing's bubble gives way to its members
+        other.element.setAttribute('tabindex', isExpanded ? '-1' : '0');
+      }
+    });
+    
+    // Members fly out of (or back into) their wing
+    const members = [].concat(...changed.map(other => other.members));
+    members.forEach(bubble => this.updateBubbleAvailability(bubble));
+    if (this.grouping === 'wings') {
+      this.animateBubbles(members);
+    }
+    
+    if (this.onGroupChange) {
+      this.onGroupChange(group);
+    }
+    
+    return group;
   }
 
   /**
-   * Generate a random vibrant color for bubbles
-   * @returns {String} Hex color code
+   * Move into the group a bubble belongs to, so it can be shown and selected
+   * Wings have to open; clusters only switch when another one is zoomed into
+   * @param {Number} index - Bubble index
+   * @returns {Boolean} True if the expanded group changed
    */
-  generateRandomColor() {
-    const hue = Math.floor(Math.random() * 360);
-    const saturation = 70 + Math.floor(Math.random() * 20); // 70-90%
-    const lightness = 50 + Math.floor(Math.random() * 20); // 50-70%
-    return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+  revealBubble(index) {
+    const bubble = this.bubbles[index];
+    if (!bubble || !bubble.group || bubble.group === this.expandedGroup) return false;
+    if (this.grouping === 'clusters' && !this.expandedGroup) return false;
+    
+    this.expandGroup(bubble.group.name);
+    return true;
+  }
+
+  /**
+   * Give bubbles the slow entrance transition for a moment, so a jump in their
+   * positions glides instead of following the camera's quick transition
+   * (reduced motion keeps the jump)
+   * @param {Array} bubbles - Bubble states
+   */
+  animateBubbles(bubbles) {
+    if (this.prefersReducedMotion) return;
+    
+    bubbles.forEach(bubble => {
+      bubble.element.classList.add('bubble-animating');
+      
+      clearTimeout(bubble.animationTimeout);
+      bubble.animationTimeout = setTimeout(() => {
+        bubble.element.classList.remove('bubble-animating');
+      }, this.LAYOUT_TRANSITION_DURATION);
+    });
   }
 
   /**
    * Update bubble transforms based on camera state
-   * Applies rotation and zoom, plus floating animation
+   * Applies rotation and zoom, plus floating animation, and records where each
+   * bubble lands on screen (bubble.screen) for getBubbleAt()
    * @param {Object} cameraState - Camera rotation and zoom values
    */
   updateBubbles(cameraState) {
     const timestamp = performance.now();
     const { rotation, zoom } = cameraState;
 
-    // Convert rotation to radians
-    const rotX = (rotation.x * Math.PI) / 180;
-    const rotY = (rotation.y * Math.PI) / 180;
-
     // Batch DOM writes for performance
     this.bubbles.forEach((bubble, index) => {
-      const pos = bubble.position;
-
-      // Apply camera rotation to position
-      // Rotate around Y-axis
-      let x = pos.x * Math.cos(rotY) - pos.z * Math.sin(rotY);
-      let z = pos.x * Math.sin(rotY) + pos.z * Math.cos(rotY);
-      
-      // Rotate around X-axis
-      let y = pos.y * Math.cos(rotX) - z * Math.sin(rotX);
-      z = pos.y * Math.sin(rotX) + z * Math.cos(rotX);
+      // Apply camera rotation to position (collapsed bubbles wait inside their wing)
+      const position = this.isCollapsed(bubble) ? bubble.group.center : bubble.position;
+      let { x, y, z } = this.rotatePosition(position, rotation);
 
       // Apply floating animation offset only if reduced motion is not preferred
       if (!this.prefersReducedMotion) {
@@ -209,54 +480,194 @@ class BubbleManager {
 
       // Update z-index based on z position (closer bubbles on top)
       bubble.element.style.zIndex = Math.round(1000 + z);
+
+      bubble.screen = this.projectToScreen({ x, y, z }, getBubbleScale(bubble));
+    });
+
+    // Wings and cluster labels turn with the bubbles but don't float
+    this.groups.forEach(group => {
+      const position = this.grouping === 'wings' ? group.center : group.labelPosition;
+      const rotated = this.rotatePosition(position, rotation);
+      const x = rotated.x * zoom;
+      const y = rotated.y * zoom;
+      const z = rotated.z * zoom;
+
+      group.element.style.setProperty('--x', `${x}px`);
+      group.element.style.setProperty('--y', `${y}px`);
+      group.element.style.setProperty('--z', `${z}px`);
+      group.element.style.zIndex = Math.round(1000 + z);
+
+      group.screen = this.projectToScreen({ x, y, z }, getBubbleScale(group));
+    });
+  }
+
+  /**
+   * Project a bubble-sized circle onto the screen
+   * @param {Object} point - Center after rotation and zoom ({ x, y, z })
+   * @param {Number} scale - Size relative to a normal bubble
+   * @returns {Object|null} Screen circle from projectBubble(), or null if not measured yet or behind the eye
+   */
+  projectToScreen(point, scale) {
+    if (!this.viewport) return null;
+
+    return projectBubble(point, (this.viewport.bubbleSize / 2) * scale, this.viewport);
+  }
+
+  /**
+   * Rotate a point on the sphere by the camera rotation
+   * Rotates around the Y axis first, then the X axis; positive z faces the viewer
+   * @param {Object} position - Point in sphere space ({ x, y, z })
+   * @param {Object} rotation - Camera rotation in degrees ({ x, y })
+   * @returns {Object} Rotated point ({ x, y, z })
+   */
+  rotatePosition(position, rotation) {
+    // Convert rotation to radians
+    const rotX = (rotation.x * Math.PI) / 180;
+    const rotY = (rotation.y * Math.PI) / 180;
+
+    // Rotate around Y-axis
+    const x = position.x * Math.cos(rotY) - position.z * Math.sin(rotY);
+    let z = position.x * Math.sin(rotY) + position.z * Math.cos(rotY);
+
+    // Rotate around X-axis
+    const y = position.y * Math.cos(rotX) - z * Math.sin(rotX);
+    z = position.y * Math.sin(rotX) + z * Math.cos(rotX);
+
+    return { x, y, z };
+  }
+
+  /**
+   * Find the bubble closest to the front of the sphere
+   * @param {Object} rotation - Camera rotation in degrees ({ x, y })
+   * @returns {Number} Bubble index, or -1 if every bubble is filtered out or collapsed
+   */
+  getFrontBubbleIndex(rotation) {
+    let frontIndex = -1;
+    let frontZ = -Infinity;
+
+    this.bubbles.forEach((bubble, index) => {
+      if (!this.isAvailable(bubble)) return;
+
+      const z = this.rotatePosition(bubble.position, rotation).z;
+      if (z > frontZ) {
+        frontZ = z;
+        frontIndex = index;
+      }
     });
+
+    return frontIndex;
+  }
+
+  /**
+   * Find the nearest bubble in a screen direction from another bubble
+   * Bubbles off to the side or round the back of the sphere score worse than
+   * ones straight ahead, so repeated presses walk across the visible face
+   * @param {Number} fromIndex - Index of the bubble to start from
+   * @param {String} direction - 'left', 'right', 'up' or 'down'
+   * @param {Object} rotation - Camera rotation in degrees ({ x, y })
+   * @returns {Number} Bubble index, or -1 if there is no bubble that way
+   */
+  getNearestBubbleIndex(fromIndex, direction, rotation) {
+    const vector = BubbleManager.DIRECTIONS[direction];
+    const fromBubble = this.bubbles[fromIndex];
+    if (!vector || !fromBubble) return -1;
+
+    const from = this.rotatePosition(fromBubble.position, rotation);
+    let nearestIndex = -1;
+    let nearestScore = Infinity;
+
+    this.bubbles.forEach((bubble, index) => {
+      if (index === fromIndex || !this.isAvailable(bubble)) return;
+
+      const to = this.rotatePosition(bubble.position, rotation);
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+
+      // Distance along the direction and off to its side (screen y points down)
+      const along = dx * vector.x + dy * vector.y;
+      if (along <= 0) return;
+      const across = Math.abs(dx * vector.y - dy * vector.x);
+
+      const score = along + across * 2 + Math.abs(to.z - from.z);
+      if (score < nearestScore) {
+        nearestScore = score;
+        nearestIndex = index;
+      }
+    });
+
+    return nearestIndex;
+  }
+
+  /**
+   * Dim the bubbles that don't match a search query
+   * Filtered-out bubbles can't be clicked or tabbed to until the filter is cleared;
+   * wings with no matching members are dimmed too
+   * @param {String} query - Search query (empty shows every bubble)
+   * @returns {Object} { matchCount, bestMatch } where bestMatch is the highest scoring bubble state
+   */
+  filterBubbles(query) {
+    const isFiltering = query.trim() !== '';
+    let matchCount = 0;
+    let bestMatch = null;
+    let bestScore = 0;
+
+    this.bubbles.forEach(bubble => {
+      const score = isFiltering ? getSearchScore(bubble.data, query) : 0;
+      bubble.isFilteredOut = isFiltering && score === 0;
+      this.updateBubbleAvailability(bubble);
+
+      if (!bubble.isFilteredOut) {
+        matchCount++;
+      }
+
+      // Ties keep the first bubble in data order
+      if (score > bestScore) {
+        bestScore = score;
+        bestMatch = bubble;
+      }
+    });
+
+    this.groups.forEach(group => {
+      group.isFilteredOut = group.members.every(bubble => bubble.isFilteredOut);
+      group.element.classList.toggle('filtered-out', group.isFilteredOut);
+    });
+
+    return { matchCount, bestMatch };
   }
 
   /**
    * Get bubble element at given screen coordinates
-   * Used for click detection with tolerance
+   * Used for click and hover detection; closed wings count as bubbles.
+   * Tests against the projections from the last updateBubbles(), so it never
+   * reads layout: the front-most bubble under the point wins, with a small
+   * tolerance around edges (see findBubbleAtPoint)
    * @param {Number} x - Screen X coordinate
    * @param {Number} y - Screen Y coordinate
    * @returns {HTMLElement|null} Bubble element or null if none found
    */
   getBubbleAt(x, y) {
-    const TOLERANCE = 10; // 10 pixel tolerance as per requirements
-    const BUBBLE_RADIUS = 60; // Approximate bubble radius in pixels
-    
-    let closestBubble = null;
-    let closestDistance = Infinity;
+    const candidates = this.bubbles.filter(bubble => this.isAvailable(bubble));
+    if (this.grouping === 'wings') {
+      candidates.push(...this.groups.filter(group => !group.isFilteredOut && group !== this.expandedGroup));
+    }
 
-    this.bubbles.forEach(bubble => {
-      const element = bubble.element;
-      const rect = element.getBoundingClientRect();
-
-      // Calculate bubble center in screen coordinates
-      const centerX = rect.left + rect.width / 2;
-      const centerY = rect.top + rect.height / 2;
-
-      // Calculate distance from click point to bubble center
-      const dx = x - centerX;
-      const dy = y - centerY;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-
-      // Get current scale from CSS custom property
-      const scale = parseFloat(element.style.getPropertyValue('--scale')) || 1;
-      const effectiveRadius = BUBBLE_RADIUS * scale;
-
-      // Check if click is within bubble radius plus tolerance
-      if (distance <= effectiveRadius + TOLERANCE) {
-        // Keep track of closest bubble (for overlapping cases)
-        if (distance < closestDistance) {
-          closestDistance = distance;
-          closestBubble = element;
-        }
-      }
-    });
+    const index = findBubbleAtPoint(x, y, candidates.map(candidate => candidate.screen));
 
-    return closestBubble;
+    return index === -1 ? null : candidates[index].element;
   }
 }
 
+// Ways to group items by category (see createGroups)
+BubbleManager.GROUPINGS = ['clusters', 'wings'];
+
+// Screen directions for getNearestBubbleIndex()
+BubbleManager.DIRECTIONS = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 }
+};
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = BubbleManager;
@@ -1,18 +1,37 @@
 /**
  * CameraController - Manages user navigation and viewpoint within the 3D space
  * Handles mouse movement, wheel zoom, and touch gestures
+ * Also flies to bubbles on request (focusOn), easing rotation and zoom over a set duration,
+ * and exposes step controls (rotateBy, zoomBy, resetView) for keyboard navigation
+ *
+ * Easing is driven by elapsed time from the clock (performance.now() unless one is
+ * injected), so the camera moves the same at any frame rate and can be stepped
+ * deterministically.
  */
 class CameraController {
-  constructor(container) {
+  /**
+   * @param {HTMLElement} container - Museum space container
+   * @param {BubbleManager} bubbleManager - Optional, needed by focusOn() to find bubble positions
+   * @param {Object} options - Optional settings
+   * @param {Function} options.clock - Returns the current time in ms (defaults to performance.now)
+   */
+  constructor(container, bubbleManager, options = {}) {
     this.container = container;
+    this.bubbleManager = bubbleManager || null;
+    this.clock = options.clock || (() => performance.now());
+    this.lastUpdateTime = null;
+    
+    // Starting view - slight right rotation for optimal title visibility (see resetView)
+    this.DEFAULT_ROTATION = CameraController.DEFAULT_ROTATION;
+    this.DEFAULT_ZOOM = 0.7;
     
-    // Current camera state - start with slight right rotation for optimal title visibility
-    this.rotation = { x: 0, y: 40 };
-    this.zoom = 0.7;
+    // Current camera state
+    this.rotation = { x: this.DEFAULT_ROTATION.x, y: this.DEFAULT_ROTATION.y };
+    this.zoom = this.DEFAULT_ZOOM;
     
     // Target values for smooth interpolation
-    this.targetRotation = { x: 0, y: 40 };
-    this.targetZoom = 0.7;
+    this.targetRotation = { x: this.DEFAULT_ROTATION.x, y: this.DEFAULT_ROTATION.y };
+    this.targetZoom = this.DEFAULT_ZOOM;
     
     // Constants for rotation limits (in degrees)
     this.ROTATION_LIMIT = 360; // Allow full rotation
@@ -21,8 +40,16 @@ class CameraController {
     this.MIN_ZOOM = 0.5;
     this.MAX_ZOOM = 2.0;
     
-    // Easing factor for smooth interpolation
-    this.EASING_FACTOR = 0.1;
+    // Damping rate for smooth interpolation, per second
+    // (closes about 10% of the gap per frame at 60fps)
+    this.DAMPING = 6.3;
+    
+    // Programmatic fly-to animation (see focusOn), null when idle
+    this.flight = null;
+    this.DEFAULT_FOCUS_DURATION = 800; // ms
+    
+    // Check for reduced motion preference (fly-tos jump instead of animating)
+    this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     
     // Mouse drag tracking
     this.isDragging = false;
@@ -100,6 +127,9 @@ class CameraController {
     };
     this.hasMoved = false;
     
+    // Grabbing the view takes over from any fly-to in progress
+    this.cancelFlight();
+    
     this.container.style.cursor = 'grabbing';
   }
   
@@ -162,6 +192,8 @@ class CameraController {
     // Prevent default scroll behavior
     event.preventDefault();
     
+    this.cancelFlight();
+    
     // Adjust zoom based on wheel delta
     const delta = event.deltaY * -0.001;
     this.targetZoom += delta;
@@ -175,6 +207,8 @@ class CameraController {
    * Initialize touch tracking for drag and pinch gestures
    */
   handleTouchStart(event) {
+    this.cancelFlight();
+    
     if (event.touches.length === 1) {
       // Single finger - track for rotation
       this.touchStartPos = {
@@ -266,16 +300,195 @@ class CameraController {
     return Math.sqrt(dx * dx + dy * dy);
   }
   
+  /**
+   * Find a bubble's state by index or portfolio id
+   * @param {Number|String} bubbleIndexOrId - Index in BubbleManager.bubbles, or a
+   *   portfolio id/folder name as a string (e.g. from a URL)
+   * @returns {Object|null} Bubble state
+   */
+  findBubble(bubbleIndexOrId) {
+    if (!this.bubbleManager) return null;
+    
+    const bubbles = this.bubbleManager.bubbles;
+    
+    if (typeof bubbleIndexOrId === 'number') {
+      return bubbles[bubbleIndexOrId] || null;
+    }
+    
+    return bubbles.find(bubble =>
+      String(bubble.data.id) === bubbleIndexOrId || bubble.data.folder === bubbleIndexOrId
+    ) || null;
+  }
+  
+  /**
+   * Calculate the rotation that brings a point on the bubble sphere to the front
+   * Mirrors the Y-then-X rotation in BubbleManager.updateBubbles()
+   * @param {Object} position - Point in sphere space ({ x, y, z })
+   * @returns {Object} Rotation in degrees ({ x, y }), taking the shortest way from the current target
+   */
+  getFocusRotation(position) {
+    // Yaw that brings the point onto the z axis, then pitch that levels it
+    const yaw = Math.atan2(position.x, position.z) * 180 / Math.PI;
+    const horizontalDistance = Math.sqrt(position.x * position.x + position.z * position.z);
+    const pitch = Math.atan2(position.y, horizontalDistance) * 180 / Math.PI;
+    
+    // Don't unwind previous full turns
+    return {
+      x: pitch + 360 * Math.round((this.targetRotation.x - pitch) / 360),
+      y: yaw + 360 * Math.round((this.targetRotation.y - yaw) / 360)
+    };
+  }
+  
+  /**
+   * Fly the camera to a bubble, bringing it to the front of the sphere
+   * @param {Number|String} bubbleIndexOrId - Bubble index, or portfolio id/folder as a string
+   * @param {Object} options - Optional settings
+   * @param {Number} options.zoom - Zoom level to end at (defaults to the current zoom)
+   * @param {Number} options.duration - Animation length in ms (0 jumps straight there)
+   * @returns {Boolean} True if the bubble was found
+   */
+  focusOn(bubbleIndexOrId, options = {}) {
+    const bubble = this.findBubble(bubbleIndexOrId);
+    if (!bubble) {
+      console.warn('focusOn: no bubble found for', bubbleIndexOrId);
+      return false;
+    }
+    
+    this.focusOnPosition(bubble.position, options);
+    
+    return true;
+  }
+  
+  /**
+   * Fly the camera to any point in sphere space, e.g. the middle of a cluster
+   * @param {Object} position - Point in sphere space ({ x, y, z })
+   * @param {Object} options - Optional settings
+   * @param {Number} options.zoom - Zoom level to end at (defaults to the current zoom)
+   * @param {Number} options.duration - Animation length in ms (0 jumps straight there)
+   */
+  focusOnPosition(position, options = {}) {
+    const zoom = options.zoom !== undefined ? options.zoom : this.targetZoom;
+    this.flyTo(this.getFocusRotation(position), zoom, options.duration);
+  }
+  
+  /**
+   * Fly back to the starting view, taking the shortest way round
+   * @param {Number} duration - Optional animation length in ms
+   */
+  resetView(duration) {
+    const rotation = {
+      x: this.DEFAULT_ROTATION.x + 360 * Math.round((this.targetRotation.x - this.DEFAULT_ROTATION.x) / 360),
+      y: this.DEFAULT_ROTATION.y + 360 * Math.round((this.targetRotation.y - this.DEFAULT_ROTATION.y) / 360)
+    };
+    
+    this.flyTo(rotation, this.DEFAULT_ZOOM, duration);
+  }
+  
+  /**
+   * Animate rotation and zoom to the given values
+   * @param {Object} rotation - Rotation to end at, in degrees ({ x, y })
+   * @param {Number} zoom - Zoom level to end at (clamped to MIN_ZOOM..MAX_ZOOM)
+   * @param {Number} duration - Animation length in ms (defaults to DEFAULT_FOCUS_DURATION, 0 jumps)
+   */
+  flyTo(rotation, zoom, duration) {
+    zoom = Math.max(this.MIN_ZOOM, Math.min(this.MAX_ZOOM, zoom));
+    duration = this.prefersReducedMotion
+      ? 0
+      : (duration !== undefined ? duration : this.DEFAULT_FOCUS_DURATION);
+    
+    // The eased values also become the new resting targets
+    this.targetRotation = { x: rotation.x, y: rotation.y };
+    this.targetZoom = zoom;
+    
+    if (duration <= 0) {
+      this.flight = null;
+      this.rotation = { x: rotation.x, y: rotation.y };
+      this.zoom = zoom;
+      return;
+    }
+    
+    this.flight = {
+      startTime: this.clock(),
+      duration: duration,
+      from: { x: this.rotation.x, y: this.rotation.y, zoom: this.zoom },
+      to: { x: rotation.x, y: rotation.y, zoom: zoom }
+    };
+  }
+  
+  /**
+   * Turn the sphere by a step, as if dragged by the given amount
+   * @param {Number} deltaX - Degrees around the X axis (positive moves the front up)
+   * @param {Number} deltaY - Degrees around the Y axis (positive moves the front left)
+   */
+  rotateBy(deltaX, deltaY) {
+    this.cancelFlight();
+    
+    this.targetRotation.x += deltaX;
+    this.targetRotation.y += deltaY;
+  }
+  
+  /**
+   * Change the zoom by a step
+   * @param {Number} delta - Zoom change (positive zooms in)
+   */
+  zoomBy(delta) {
+    this.cancelFlight();
+    
+    this.targetZoom = Math.max(this.MIN_ZOOM, Math.min(this.MAX_ZOOM, this.targetZoom + delta));
+  }
+  
+  /**
+   * Stop a fly-to in progress, leaving the camera where it is
+   */
+  cancelFlight() {
+    if (!this.flight) return;
+    
+    this.flight = null;
+    this.targetRotation = { x: this.rotation.x, y: this.rotation.y };
+    this.targetZoom = this.zoom;
+  }
+  
+  /**
+   * Advance the fly-to animation
+   * @param {Number} now - Current time in ms
+   */
+  updateFlight(now) {
+    const { startTime, duration, from, to } = this.flight;
+    const progress = Math.min(1, (now - startTime) / duration);
+    
+    // Ease in-out cubic
+    const eased = progress < 0.5
+      ? 4 * progress * progress * progress
+      : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+    
+    this.rotation.x = from.x + (to.x - from.x) * eased;
+    this.rotation.y = from.y + (to.y - from.y) * eased;
+    this.zoom = from.zoom + (to.zoom - from.zoom) * eased;
+    
+    if (progress >= 1) {
+      this.flight = null;
+    }
+  }
+  
   /**
    * Update camera state with smooth interpolation
-   * Uses linear interpolation (lerp) to smoothly transition to target values
+   * Eases towards the target values with exponential damping over the time
+   * since the previous update
    * Returns current camera state object
    */
   update() {
-    // Smooth interpolation using lerp
-    this.rotation.x += (this.targetRotation.x - this.rotation.x) * this.EASING_FACTOR;
-    this.rotation.y += (this.targetRotation.y - this.rotation.y) * this.EASING_FACTOR;
-    this.zoom += (this.targetZoom - this.zoom) * this.EASING_FACTOR;
+    const now = this.clock();
+    const deltaTime = getFrameDelta(now, this.lastUpdateTime);
+    this.lastUpdateTime = now;
+    
+    if (this.flight) {
+      // Fly-to animations follow their own timed curve
+      this.updateFlight(now);
+    } else {
+      this.rotation.x = damp(this.rotation.x, this.targetRotation.x, this.DAMPING, deltaTime);
+      this.rotation.y = damp(this.rotation.y, this.targetRotation.y, this.DAMPING, deltaTime);
+      this.zoom = damp(this.zoom, this.targetZoom, this.DAMPING, deltaTime);
+    }
     
     // Clamp zoom to limits
     this.zoom = Math.max(this.MIN_ZOOM, Math.min(this.MAX_ZOOM, this.zoom));
@@ -303,3 +516,11 @@ class CameraController {
     this.container.removeEventListener('touchend', this.handleTouchEnd);
   }
 }
+
+// Starting rotation in degrees, shared with BubbleManager to place featured bubbles in view
+CameraController.DEFAULT_ROTATION = { x: 0, y: 40 };
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CameraController;
+}
@@ -15,6 +15,10 @@ class ContentPanel {
     // Track panel state
     this.isOpen = false;
     
+    // Optional callbacks, called with the portfolio data after show/hide
+    this.onShow = null;
+    this.onHide = null;
+    
     // Create live region for screen reader announcements
     this.createLiveRegion();
     
@@ -104,6 +108,10 @@ class ContentPanel {
     setTimeout(() => {
       this.closeBtn.focus();
     }, 100);
+    
+    if (this.onShow) {
+      this.onShow(data);
+    }
   }
   
   /**
@@ -145,6 +153,10 @@ class ContentPanel {
         this.previouslyFocusedElement.focus();
       }, 100);
     }
+    
+    if (this.onHide) {
+      this.onHide(this.currentData);
+    }
   }
   
   /**
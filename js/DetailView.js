@@ -1,20 +1,58 @@
 /**
  * DetailView Class
  * Manages the 3D wall portfolio detail page with 360° room view
+ *
+ * Controls: WASD or arrow keys walk, Q/E or left/right arrows turn, drag to look,
+ * [ and ] jump between cards (see DetailView.DEFAULT_KEY_MAP). Touch devices get
+ * an on-screen move stick and look pad, and gestures: one finger looks, two
+ * fingers walk and pinch to zoom, a tap walks up to a card. A gamepad walks with
+ * the left stick, looks with the right, jumps cards with the shoulders/d-pad,
+ * opens card media with A and leaves with B.
+ *
+ * Mouse look can be switched to pointer lock (the "Mouse look" button): click to
+ * capture the mouse, move to look, click to walk to (or open) the card under the
+ * crosshair, Esc to release the mouse. Esc only closes the hall when the mouse is free.
+ *
+ * Whichever card the camera is close to and facing is highlighted, described in
+ * an overlay with an "Open" button and announced to screen readers.
+ *
+ * A minimap shows the camera and every card; clicking a card on it walks there.
  */
 class DetailView {
-  constructor() {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {Object} options.keyMap - Keys per action, merged over DetailView.DEFAULT_KEY_MAP
+   * @param {Function} options.clock - Returns the current time in ms (defaults to performance.now)
+   * @param {GamepadInput|Object|Boolean} options.gamepad - GamepadInput to share with the museum, GamepadInput options, or false to ignore gamepads
+   */
+  constructor(options = {}) {
     // Get references to elements
     this.detailView = document.getElementById('detail-view');
     this.backBtn = document.getElementById('back-btn');
     this.detailTitle = this.detailView.querySelector('.detail-title');
     this.detailContainer = this.detailView.querySelector('.detail-container');
     this.wallGrid = this.detailView.querySelector('.wall-grid');
+    this.cardNav = this.detailView.querySelector('.hall-card-nav');
+    this.prevCardBtn = this.detailView.querySelector('.hall-prev-card');
+    this.nextCardBtn = this.detailView.querySelector('.hall-next-card');
+    this.cardCounter = this.detailView.querySelector('.hall-card-counter');
+    this.lookToggle = this.detailView.querySelector('.hall-look-toggle');
+    this.cardOverlay = this.detailView.querySelector('.hall-card-overlay');
+    this.overlayTitle = this.detailView.querySelector('.hall-overlay-title');
+    this.overlayCaption = this.detailView.querySelector('.hall-overlay-caption');
+    this.overlayOpenBtn = this.detailView.querySelector('.hall-overlay-open');
+    this.minimap = this.detailView.querySelector('.hall-minimap');
+    this.minimapCamera = this.detailView.querySelector('.minimap-camera');
+    this.minimapTitleCard = this.detailView.querySelector('.minimap-title-card');
     
     // Track state
     this.isOpen = false;
     this.currentData = null;
     
+    // Optional callbacks, called with the portfolio data after show/hide
+    this.onShow = null;
+    this.onHide = null;
+    
     // FPS Camera state - start at entrance of hallway
     this.rotation = { x: 0, y: 0 }; // Looking straight down the hallway
     this.targetRotation = { x: 0, y: 0 };
@@ -22,26 +60,106 @@ class DetailView {
     // Camera position for FPS movement (start at entrance)
     this.position = { x: 0, y: 0, z: 600 }; // Start 600px back from first cards
     this.targetPosition = { x: 0, y: 0, z: 600 };
-    this.moveSpeed = 8; // Faster movement for hallway
+    this.moveSpeed = 480; // px per second - faster movement for hallway
     
-    // Hallway boundaries - extended to accommodate new cards at -3000px
-    this.hallwayLength = 3200; // Length to furthest card at -3000px
-    this.hallwayWidth = 700; // Width boundaries (left/right) - wider hallway to accommodate orbs at ±650px
-    this.hallwayForwardLimit = 600; // Forward boundary (entrance)
+    // Easing towards the targets, as damping rates per second (see damp() in utils.js)
+    this.ROTATION_DAMPING = 9.75; // About 15% of the gap per frame at 60fps
+    this.POSITION_DAMPING = 7.7;  // About 12% of the gap per frame at 60fps
     
-    // Movement state
-    this.keys = { w: false, a: false, s: false, d: false };
+    // Frame timing - movement and easing are scaled by the time between frames
+    this.clock = options.clock || (() => performance.now());
+    this.lastFrameTime = null;
+    
+    // Hallway boundaries - hallwayLength and the collision geometry are recomputed
+    // from the card layout in show() (see hallCollision.js)
+    this.hallwayLength = 3200; // Distance to the title card at the end of the hallway
+    this.hallwayForwardLimit = 600; // Forward boundary (entrance)
+    this.hallGeometry = null;
+    
+    // Hallway layout constants - cards stand in pairs facing each other
+    this.CARD_FIRST_Z = 200; // Depth of the first pair of cards
+    this.CARD_SPACING = 600; // Depth between consecutive pairs
+    this.CARD_SIDE_OFFSET = 650; // Distance of each card from the hallway center
+    this.TITLE_CARD_GAP = 1000; // Depth between the last pair and the title card
+    this.CARD_VIEW_DISTANCE = 450; // How far from a card focusCard() stops the camera
+    this.hallLayout = null;
+    this.currentCardIndex = -1; // Card last jumped to, -1 once the visitor walks away
+    this.CARD_FOCUS_DISTANCE = 700; // How close the camera must be for a card to come into focus
+    this.CARD_FOCUS_ANGLE = 30; // How far off-center (degrees) a card can be and still be faced
+    this.facedCardIndex = -1; // Card in focus, -1 when none
+    
+    // Movement state, by action
+    this.keyMap = Object.assign({}, DetailView.DEFAULT_KEY_MAP, options.keyMap);
+    this.keys = this.createKeyState();
+    this.turnSpeed = 120; // Degrees per second while a turn key is held
+    
+    // On-screen move stick and look pad (shown on touch devices by CSS)
+    const moveStick = this.detailView.querySelector('.hall-move-stick');
+    const lookPad = this.detailView.querySelector('.hall-look-pad');
+    const hasJoystick = typeof VirtualJoystick === 'function';
+    this.moveStick = hasJoystick && moveStick ? new VirtualJoystick(moveStick) : null;
+    this.lookPad = hasJoystick && lookPad ? new VirtualJoystick(lookPad) : null;
+    this.lookPadSpeed = 150; // Degrees per second at full deflection
+    
+    // Gamepad, polled every frame in updateCamera() (shared with the museum so
+    // a press that closes the hall isn't seen again by the sphere)
+    if (typeof GamepadInput === 'function' && options.gamepad instanceof GamepadInput) {
+      this.gamepad = options.gamepad;
+    } else {
+      this.gamepad = options.gamepad !== false && typeof GamepadInput === 'function'
+        ? new GamepadInput(options.gamepad || {})
+        : null;
+    }
+    this.gamepadState = null;
     
     // Mouse look
     this.isDragging = false;
     this.lastMousePos = null;
+    this.dragDistance = 0; // Distinguishes a look-around drag from a click on a card
     this.mouseSensitivity = 0.3;
     this.animationFrameId = null;
     
+    // Opt-in pointer-lock mouse look
+    this.canLockPointer = typeof this.detailView.requestPointerLock === 'function';
+    this.pointerLockEnabled = false;
+    this.pointerLockReleasedAt = -Infinity;
+    this.POINTER_LOCK_ESCAPE_WINDOW = 250; // ms after a release in which Esc only released the pointer
+    this.targetedCard = null; // Card under the crosshair
+    
+    // Create live region for screen reader announcements
+    this.createLiveRegion();
+    
     // Vertical look limits
     this.MIN_PITCH = -60; // Look down limit
     this.MAX_PITCH = 60;  // Look up limit
     
+    // Touch gestures - touches that started on the hall itself, by identifier
+    this.touchPoints = new Map();
+    this.touchSensitivity = 0.3; // Degrees per pixel of one-finger drag
+    this.touchWalkSpeed = 3;     // Hallway units per pixel of two-finger drag
+    this.tapStart = null;
+    this.TAP_MAX_DISTANCE = 10;  // px a tap may wander
+    this.TAP_MAX_DURATION = 300; // ms
+    this.pinchStart = null;
+    
+    // Pinch zoom narrows the field of view by stretching the CSS perspective
+    this.basePerspective = 600; // Read from the stylesheet in show()
+    this.fovZoom = 1;
+    this.MIN_FOV_ZOOM = 0.6;
+    this.MAX_FOV_ZOOM = 2.5;
+    
+    // Asset manifests per portfolio folder (promises, so each is fetched once)
+    this.assetManifests = new Map();
+    // Media files that failed to load, so they are only requested and reported once
+    this.missingAssets = new Set();
+    
+    // Full-screen viewer for card media; the camera is suspended while it is open
+    this.lightbox = typeof Lightbox === 'function' ? new Lightbox() : null;
+    if (this.lightbox) {
+      this.lightbox.onShow = () => this.suspendCamera();
+      this.lightbox.onHide = () => this.resumeCamera();
+    }
+    
     // Bind methods
     this.hide = this.hide.bind(this);
     this.handleKeyPress = this.handleKeyPress.bind(this);
@@ -50,10 +168,61 @@ class DetailView {
     this.handleMouseDown = this.handleMouseDown.bind(this);
     this.handleMouseMove = this.handleMouseMove.bind(this);
     this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleTouchStart = this.handleTouchStart.bind(this);
+    this.handleTouchMove = this.handleTouchMove.bind(this);
+    this.handleTouchEnd = this.handleTouchEnd.bind(this);
+    this.handlePointerLockChange = this.handlePointerLockChange.bind(this);
+    this.togglePointerLock = this.togglePointerLock.bind(this);
+    this.openFacedCard = this.openFacedCard.bind(this);
+    this.handleMinimapClick = this.handleMinimapClick.bind(this);
+    this.handleCardClick = this.handleCardClick.bind(this);
+    this.handleCardKeyDown = this.handleCardKeyDown.bind(this);
+    this.nextCard = this.nextCard.bind(this);
+    this.previousCard = this.previousCard.bind(this);
     this.updateCamera = this.updateCamera.bind(this);
     
     // Set up event listeners
     this.backBtn.addEventListener('click', this.hide);
+    if (this.cardNav) {
+      this.prevCardBtn.addEventListener('click', this.previousCard);
+      this.nextCardBtn.addEventListener('click', this.nextCard);
+    }
+    if (this.lookToggle) {
+      this.lookToggle.hidden = !this.canLockPointer;
+      this.lookToggle.addEventListener('click', this.togglePointerLock);
+    }
+    if (this.cardOverlay) {
+      this.overlayOpenBtn.addEventListener('click', this.openFacedCard);
+    }
+    if (this.minimap) {
+      this.minimap.addEventListener('click', this.handleMinimapClick);
+    }
+  }
+  
+  /**
+   * Create a live region for screen reader announcements
+   */
+  createLiveRegion() {
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    this.liveRegion.className = 'visually-hidden';
+    document.body.appendChild(this.liveRegion);
+  }
+  
+  /**
+   * Announce message to screen readers
+   * @param {String} message - Message to announce
+   */
+  announce(message) {
+    if (this.liveRegion) {
+      this.liveRegion.textContent = message;
+      // Clear after announcement
+      setTimeout(() => {
+        this.liveRegion.textContent = '';
+      }, 1000);
+    }
   }
   
   /**
@@ -71,15 +240,19 @@ class DetailView {
       portfolioTitle.textContent = `${data.title}'s Memory Hall`;
     }
     
+    // Build the hallway cards for this portfolio and size the hallway to fit them
+    this.buildHallCards(data);
+    
     // Apply color theme based on portfolio color
     this.applyColorTheme(data.color, data);
     
     // Reset to default starting position for all portfolios
     this.position = { x: 0, y: 0, z: 600 };
     this.targetPosition = { x: 0, y: 0, z: 600 };
-    // Reset to default hallway length (all 4 placeholder cards visible)
-    this.hallwayLength = 3200;
     this.hallwayForwardLimit = 600;
+    this.currentCardIndex = -1;
+    this.updateCardCounter();
+    this.setFacedCard(-1);
     
     // Load images from portfolio folder
     this.loadPortfolioImages(data);
@@ -88,10 +261,15 @@ class DetailView {
     this.detailView.classList.add('active');
     this.detailView.setAttribute('aria-hidden', 'false');
     
+    // Start at the stylesheet's field of view
+    this.detailView.style.perspective = '';
+    this.basePerspective = parseFloat(getComputedStyle(this.detailView).perspective) || 600;
+    this.setFovZoom(1);
+    
     // Set state
     this.isOpen = true;
     
-    // Add keyboard listener for ESC and WASD
+    // Add keyboard listener for ESC and movement keys
     document.addEventListener('keydown', this.handleKeyPress);
     document.addEventListener('keydown', this.handleKeyDown);
     document.addEventListener('keyup', this.handleKeyUp);
@@ -100,11 +278,394 @@ class DetailView {
     this.detailView.addEventListener('mousedown', this.handleMouseDown);
     window.addEventListener('mousemove', this.handleMouseMove);
     window.addEventListener('mouseup', this.handleMouseUp);
+    document.addEventListener('pointerlockchange', this.handlePointerLockChange);
+    
+    // Add touch gestures (not passive, so they can stop the page from scrolling)
+    this.detailView.addEventListener('touchstart', this.handleTouchStart, { passive: false });
+    this.detailView.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+    this.detailView.addEventListener('touchend', this.handleTouchEnd, { passive: false });
+    this.detailView.addEventListener('touchcancel', this.handleTouchEnd, { passive: false });
+    
+    // Open card media in the lightbox
+    this.wallGrid.addEventListener('click', this.handleCardClick);
+    this.wallGrid.addEventListener('keydown', this.handleCardKeyDown);
     
     // Start animation loop
     this.startAnimation();
     
-    console.log('Detail view opened for:', data.title, '- Use WASD to move, mouse to look around');
+    console.log('Detail view opened for:', data.title, '- Use WASD or arrow keys to move, mouse to look around');
+    
+    if (this.onShow) {
+      this.onShow(data);
+    }
+  }
+  
+  /**
+   * Calculate hallway card positions
+   * Cards alternate left/right in pairs going down the hallway, with the
+   * title card closing the far end
+   * @param {Number} cardCount - Number of cards in the hallway
+   * @returns {Object} Layout with card slots, title card depth and hallway length
+   */
+  calculateHallLayout(cardCount) {
+    const slots = [];
+    
+    for (let i = 0; i < cardCount; i++) {
+      const side = i % 2 === 0 ? -1 : 1; // Left card first in each pair
+      const pairIndex = Math.floor(i / 2);
+      
+      slots.push({
+        side: side,
+        x: side * this.CARD_SIDE_OFFSET,
+        z: this.CARD_FIRST_Z - pairIndex * this.CARD_SPACING,
+        // Left cards rotate to face right (toward center) and vice versa
+        rotateY: side === -1 ? 90 : -90
+      });
+    }
+    
+    const lastZ = slots.length > 0 ? slots[slots.length - 1].z : this.CARD_FIRST_Z;
+    const titleZ = lastZ - this.TITLE_CARD_GAP;
+    
+    return {
+      slots: slots,
+      titleZ: titleZ,
+      // Camera can walk up to the title card
+      hallwayLength: -titleZ
+    };
+  }
+  
+  /**
+   * Create the hallway cards for a portfolio
+   * Card count, titles and order come from the portfolio's `cards` (or the defaults)
+   * @param {Object} data - Portfolio item data
+   */
+  buildHallCards(data) {
+    const cards = getPortfolioCards(data);
+    const layout = this.calculateHallLayout(cards.length);
+    
+    // Remove the previous portfolio's cards
+    this.wallGrid.querySelectorAll('.hall-card').forEach(card => card.remove());
+    
+    const titleCard = this.wallGrid.querySelector('.title-card');
+    
+    cards.forEach((cardData, index) => {
+      const slot = layout.slots[index];
+      
+      const type = getCardType(cardData);
+      const card = document.createElement('div');
+      card.className = `wall-box hall-card card-type-${type}`;
+      card.setAttribute('data-card', cardData.id);
+      card.style.transform = `translateX(${slot.x}px) translateZ(${slot.z}px) rotateY(${slot.rotateY}deg)`;
+      // Stagger the floating animation so neighbouring orbs don't bob in sync
+      card.style.animationDelay = `${(index % 6) * 0.5 + Math.floor(index / 6) * 0.3}s`;
+      
+      const heading = document.createElement('h3');
+      heading.textContent = cardData.title;
+      
+      const images = document.createElement('div');
+      images.className = 'card-images';
+      
+      card.appendChild(heading);
+      card.appendChild(images);
+      
+      // Non-media cards render their content on top of the orb
+      if (type !== 'media') {
+        card.appendChild(this.createCardBody(cardData, data));
+      }
+      
+      this.wallGrid.insertBefore(card, titleCard);
+    });
+    
+    // Close the hallway with the title card
+    if (titleCard) {
+      titleCard.style.transform = `translateZ(${layout.titleZ}px)`;
+    }
+    
+    this.hallLayout = layout;
+    this.hallwayLength = layout.hallwayLength;
+    this.hallGeometry = getHallGeometry(layout, this.hallwayForwardLimit);
+    
+    this.buildMinimap(cards);
+  }
+  
+  /**
+   * Get a point's position on the minimap
+   * The map is the walkable hallway seen from above, entrance at the bottom
+   * @param {Number} x - Hallway x
+   * @param {Number} z - Hallway z
+   * @returns {Object} Position in percent of the map ({ left, top })
+   */
+  getMinimapPoint(x, z) {
+    const bounds = this.hallGeometry.bounds;
+    return {
+      left: ((x - bounds.minX) / (bounds.maxX - bounds.minX)) * 100,
+      top: ((z - bounds.minZ) / (bounds.maxZ - bounds.minZ)) * 100
+    };
+  }
+  
+  /**
+   * Create a minimap button for each card
+   * @param {Array} cards - Card definitions, in layout order
+   */
+  buildMinimap(cards) {
+    if (!this.minimap) return;
+    
+    this.minimap.querySelectorAll('.minimap-card').forEach(button => button.remove());
+    
+    cards.forEach((cardData, index) => {
+      const slot = this.hallLayout.slots[index];
+      const point = this.getMinimapPoint(slot.x, slot.z);
+      
+      const button = document.createElement('button');
+      button.className = 'minimap-card';
+      button.setAttribute('data-card', cardData.id);
+      button.style.left = `${point.left}%`;
+      button.style.top = `${point.top}%`;
+      this.minimap.insertBefore(button, this.minimapCamera);
+    });
+    
+    // The title card spans the far end of the hallway
+    if (this.minimapTitleCard) {
+      this.minimapTitleCard.style.top = `${this.getMinimapPoint(0, this.hallLayout.titleZ).top}%`;
+    }
+    
+    this.minimap.hidden = cards.length === 0;
+    this.updateMinimapCards();
+  }
+  
+  /**
+   * Mark the minimap cards that have something to see and the current one
+   * Media cards only count once their media has loaded
+   */
+  updateMinimapCards() {
+    if (!this.minimap || !this.currentData) return;
+    
+    const cards = getPortfolioCards(this.currentData);
+    
+    this.minimap.querySelectorAll('.minimap-card').forEach(button => {
+      const index = cards.findIndex(card => card.id === button.getAttribute('data-card'));
+      const card = this.getCardElement(index);
+      const hasContent = Boolean(card) && (Boolean(card.querySelector('.card-images .loaded')) ||
+        (Boolean(card.querySelector('.card-body')) && !card.querySelector('.card-note')));
+      const title = cards[index].title;
+      
+      button.classList.toggle('has-content', hasContent);
+      button.classList.toggle('current', index === this.currentCardIndex);
+      button.setAttribute('aria-label', `Go to ${title}${hasContent ? '' : ' (empty)'}`);
+      button.title = title;
+      if (index === this.currentCardIndex) {
+        button.setAttribute('aria-current', 'location');
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+  }
+  
+  /**
+   * Move the camera marker on the minimap
+   */
+  updateMinimapCamera() {
+    if (!this.minimapCamera || !this.hallGeometry) return;
+    
+    const point = this.getMinimapPoint(this.position.x, this.position.z);
+    this.minimapCamera.style.left = `${point.left}%`;
+    this.minimapCamera.style.top = `${point.top}%`;
+    // The marker points up the map (-z) at yaw 0, and turning left increases yaw
+    this.minimapCamera.style.transform = `translate(-50%, -50%) rotate(${-this.rotation.y}deg)`;
+  }
+  
+  /**
+   * Walk to a card clicked on the minimap
+   * @param {MouseEvent} event
+   */
+  handleMinimapClick(event) {
+    const button = event.target.closest('.minimap-card');
+    if (!button) return;
+    
+    this.focusCard(button.getAttribute('data-card'));
+  }
+  
+  /**
+   * Walk the camera up to a card and turn to face it
+   * Only sets the targets, so the usual easing in updateCamera() does the walking
+   * @param {String} cardId - Card id
+   * @returns {Boolean} True if the card is in the current hallway
+   */
+  focusCard(cardId) {
+    if (!this.isOpen || !this.hallLayout) return false;
+    
+    const index = getPortfolioCards(this.currentData).findIndex(card => card.id === cardId);
+    const slot = this.hallLayout.slots[index];
+    if (!slot) return false;
+    
+    // Stand in the hallway opposite the card, level with it
+    const x = slot.x - slot.side * this.CARD_VIEW_DISTANCE;
+    const bounds = this.hallGeometry.bounds;
+    this.targetPosition = {
+      x: Math.max(bounds.minX + HALL_CAMERA_RADIUS, Math.min(bounds.maxX - HALL_CAMERA_RADIUS, x)),
+      y: 0,
+      z: slot.z
+    };
+    
+    // Forward is (-sin(yaw), -cos(yaw)) in updateMovement(), so face the card along x
+    const yaw = Math.atan2(-(slot.x - this.targetPosition.x), 0) * 180 / Math.PI;
+    this.targetRotation = {
+      x: 0,
+      // Turn the short way round
+      y: yaw + 360 * Math.round((this.targetRotation.y - yaw) / 360)
+    };
+    
+    this.currentCardIndex = index;
+    this.updateCardCounter();
+    
+    return true;
+  }
+  
+  /**
+   * Walk to the next card down the hallway
+   */
+  nextCard() {
+    this.stepCard(1);
+  }
+  
+  /**
+   * Walk back to the previous card
+   */
+  previousCard() {
+    this.stepCard(-1);
+  }
+  
+  /**
+   * Walk to the card before or after the current one
+   * After walking freely, the first card ahead of (or behind) the camera is used
+   * @param {Number} step - 1 for the next card, -1 for the previous one
+   */
+  stepCard(step) {
+    if (!this.isOpen || !this.hallLayout) return;
+    
+    const cards = getPortfolioCards(this.currentData);
+    const slots = this.hallLayout.slots;
+    if (cards.length === 0) return;
+    
+    let index;
+    if (this.currentCardIndex !== -1) {
+      index = Math.max(0, Math.min(cards.length - 1, this.currentCardIndex + step));
+    } else if (step > 0) {
+      // Down the hallway is towards -z
+      index = slots.findIndex(slot => slot.z < this.targetPosition.z);
+      if (index === -1) index = cards.length - 1;
+    } else {
+      index = 0;
+      slots.forEach((slot, i) => {
+        if (slot.z > this.targetPosition.z) index = i;
+      });
+    }
+    
+    this.focusCard(cards[index].id);
+  }
+  
+  /**
+   * Show which card the camera is at in the card navigation
+   */
+  updateCardCounter() {
+    if (!this.cardNav) return;
+    
+    const cards = this.currentData ? getPortfolioCards(this.currentData) : [];
+    const card = cards[this.currentCardIndex];
+    
+    this.cardNav.hidden = cards.length === 0;
+    this.cardCounter.textContent = card
+      ? `Card ${this.currentCardIndex + 1} of ${cards.length}: ${card.title}`
+      : '';
+    
+    this.updateMinimapCards();
+  }
+  
+  /**
+   * Get the links a links card shows: its own, or else the portfolio's
+   * @param {Object} cardData - Card definition
+   * @param {Object} data - Portfolio item data
+   * @returns {Array} Links ({ label, url })
+   */
+  getCardLinks(cardData, data) {
+    return cardData.links || (data && data.links) || [];
+  }
+  
+  /**
+   * Create the content of a text, links, contact or PDF card
+   * Every link opens in a new tab so the hall stays open behind it
+   * @param {Object} cardData - Card definition
+   * @param {Object} data - Portfolio item data
+   * @returns {HTMLElement} Card body element
+   */
+  createCardBody(cardData, data) {
+    const body = document.createElement('div');
+    body.className = 'card-body';
+    
+    switch (getCardType(cardData)) {
+      case 'text':
+        body.appendChild(renderRichText(cardData.content));
+        break;
+        
+      case 'links': {
+        const links = this.getCardLinks(cardData, data);
+        if (links.length === 0) {
+          body.appendChild(this.createCardNote('No links yet'));
+        }
+        links.forEach(link => {
+          body.appendChild(createExternalLink(link.label, link.url, 'detail-link'));
+        });
+        break;
+      }
+        
+      case 'contact': {
+        const contact = cardData.contact;
+        if (contact.email) {
+          body.appendChild(createExternalLink(contact.email, `mailto:${contact.email}`, 'detail-link'));
+        }
+        if (contact.phone) {
+          // tel: links hand off to the phone app, so they don't need a new tab
+          const phone = document.createElement('a');
+          phone.className = 'detail-link';
+          phone.href = `tel:${contact.phone.replace(/[^0-9+]/g, '')}`;
+          phone.textContent = contact.phone;
+          body.appendChild(phone);
+        }
+        (contact.socials || []).forEach(social => {
+          body.appendChild(createExternalLink(social.label, social.url, 'detail-link'));
+        });
+        break;
+      }
+        
+      case 'pdf': {
+        const url = cardData.url ||
+          `${getPortfolioAssetPath(data.folder || data.id)}${cardData.id}/${encodeURIComponent(cardData.file)}`;
+        
+        const preview = document.createElement('iframe');
+        preview.className = 'card-pdf';
+        preview.src = url;
+        preview.title = `${cardData.title} (PDF preview)`;
+        preview.setAttribute('loading', 'lazy');
+        
+        body.appendChild(preview);
+        body.appendChild(createExternalLink('Open PDF', url, 'detail-link'));
+        break;
+      }
+    }
+    
+    return body;
+  }
+  
+  /**
+   * Create a short muted note for cards without content
+   * @param {String} text - Note text
+   * @returns {HTMLElement} Paragraph element
+   */
+  createCardNote(text) {
+    const note = document.createElement('p');
+    note.className = 'card-note';
+    note.textContent = text;
+    return note;
   }
   
   /**
@@ -204,32 +765,16 @@ class DetailView {
     
     // Add flying PNG images from portfolio background folder with shooting star effect
     const folder = data.folder || data.id;
-    const backgroundPath = `assets/portfolios/${folder}/background/`;
-    
-    // First, collect available images
-    const availableImages = [];
-    const maxImagesToCheck = 10;
-    
-    // Create a promise-based image loader to check which images exist
-    const checkImage = (path) => {
-      return new Promise((resolve) => {
-        const img = new Image();
-        img.onload = () => resolve(path);
-        img.onerror = () => resolve(null);
-        img.src = path;
-      });
-    };
+    const backgroundPath = `${getPortfolioAssetPath(folder)}background/`;
     
     // Load available images and create 8-10 shooting stars
     const numShootingStars = Math.floor(Math.random() * 3) + 8; // 8-10 shooting stars
     
-    // Check which images exist (1.png through 10.png)
-    Promise.all(
-      Array.from({ length: maxImagesToCheck }, (_, i) => 
-        checkImage(`${backgroundPath}${i + 1}.png`)
-      )
-    ).then(results => {
-      const validImages = results.filter(path => path !== null);
+    // Use the background images declared in the portfolio's asset manifest
+    this.getAssetManifest(folder).then(manifest => {
+      const validImages = getCardMedia(manifest, 'background')
+        .filter(entry => entry.type === 'image')
+        .map(entry => `${backgroundPath}${entry.file}`);
       
       // If no images found, skip
       if (validImages.length === 0) {
@@ -488,13 +1033,15 @@ class DetailView {
     const existingFloorExt = document.querySelector('.dynamic-floor-extension');
     if (existingFloorExt) existingFloorExt.remove();
     
-    // Add glowing border for floor
+    // Add glowing border for floor, long enough to reach past the title card
+    // (the floor is rotated about its center, so it extends half its height each way)
+    const floorHalfLength = Math.max(3500, this.hallwayLength + 300);
     const floorBorderStyle = document.createElement('style');
     floorBorderStyle.className = 'dynamic-floor-extension';
     floorBorderStyle.textContent = `
       #detail-view .wall-grid::before {
-        top: -5000px !important;
-        height: 7000px !important;
+        top: ${-1500 - floorHalfLength}px !important;
+        height: ${floorHalfLength * 2}px !important;
         transform: rotateX(90deg) translateZ(-1700px) !important;
         box-shadow: 
           inset 0 0 0 4px rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.8),
@@ -619,139 +1166,238 @@ class DetailView {
     }
   }
   
+  /**
+   * Get the asset manifest for a portfolio folder
+   * Fetched once per folder; a missing or invalid manifest is reported once and
+   * resolves to null so the hall simply shows empty cards
+   * @param {String|Number} folder - Portfolio folder name
+   * @returns {Promise<Object|null>} Asset manifest or null
+   */
+  getAssetManifest(folder) {
+    if (!this.assetManifests.has(folder)) {
+      const request = loadAssetManifest(folder).catch(error => {
+        console.warn(`No usable asset manifest for "${folder}":`, error.message, error.errors || '');
+        return null;
+      });
+      this.assetManifests.set(folder, request);
+    }
+    
+    return this.assetManifests.get(folder);
+  }
+  
   /**
    * Load images from portfolio folder into cards
+   * Only files declared in the folder's asset manifest are requested
    * @param {Object} data - Portfolio item data
    */
   loadPortfolioImages(data) {
     const folder = data.folder || data.id;
-    const basePath = `assets/portfolios/${folder}/`;
+    const basePath = getPortfolioAssetPath(folder);
     
     console.log('Loading images for portfolio:', data.title, 'from:', basePath);
     
-    // Card names mapping to folder names
-    const cardFolders = {
-      'overview': 'overview',
-      'gallery': 'gallery',
-      'technologies': 'technologies',
-      'details': 'details',
-      'links': 'links',
-      'contact': 'contact',
-      'placeholder1': 'placeholder1',
-      'placeholder2': 'placeholder2',
-      'placeholder3': 'placeholder3',
-      'placeholder4': 'placeholder4'
-    };
+    // Each media card's id is also its media folder name
+    const cardNames = getPortfolioCards(data)
+      .filter(card => getCardType(card) === 'media')
+      .map(card => card.id);
     
-    // Load images for each card
-    Object.keys(cardFolders).forEach(cardName => {
-      const card = this.detailView.querySelector(`[data-card="${cardName}"]`);
-      if (!card) {
-        console.log('Card not found:', cardName);
-        return;
-      }
-      
-      const imagesContainer = card.querySelector('.card-images');
-      if (!imagesContainer) {
-        console.log('Images container not found for card:', cardName);
-        return;
-      }
+    this.getAssetManifest(folder).then(manifest => {
+      // Ignore the result if the hall was closed or switched portfolio meanwhile
+      if (!this.isOpen || this.currentData !== data) return;
       
-      // Clear previous images
-      imagesContainer.innerHTML = '';
-      
-      // Try to load images from the card's folder
-      const cardPath = `${basePath}${cardFolders[cardName]}/`;
-      console.log('Loading images from:', cardPath);
-      
-      // Try common image names (1.jpg, 2.jpg, etc.)
-      this.loadImagesFromFolder(cardPath, imagesContainer, 5);
+      // Load media for each card
+      cardNames.forEach(cardName => {
+        const card = this.wallGrid.querySelector(`[data-card="${cardName}"]`);
+        if (!card) {
+          console.log('Card not found:', cardName);
+          return;
+        }
+        
+        const imagesContainer = card.querySelector('.card-images');
+        if (!imagesContainer) {
+          console.log('Images container not found for card:', cardName);
+          return;
+        }
+        
+        const cardPath = `${basePath}${cardName}/`;
+        const entries = getCardMedia(manifest, cardName);
+        this.loadCardMedia(cardPath, imagesContainer, entries, data);
+      });
     });
   }
   
   /**
-   * Load images and videos from a folder
-   * @param {string} folderPath - Path to the folder
+   * Load the images and videos declared for a card
+   * @param {string} folderPath - Path to the card folder
    * @param {HTMLElement} container - Container to append media to
-   * @param {number} maxImages - Maximum number of files to try loading
+   * @param {Array} entries - Media entries from the asset manifest
+   * @param {Object} data - Portfolio item data (for fallback alt text)
    */
-  loadImagesFromFolder(folderPath, container, maxImages = 5) {
-    console.log('Trying to load media from:', folderPath);
-    let loadedCount = 0;
+  loadCardMedia(folderPath, container, entries, data) {
+    const card = container.closest('.hall-card');
     
-    // First, try to load any video files with common names
-    const videoExtensions = ['mp4', 'webm', 'mov'];
-    videoExtensions.forEach(ext => {
-      const video = document.createElement('video');
-      const videoPath = `${folderPath}1.${ext}`;
+    entries.forEach((entry, index) => {
+      const path = `${folderPath}${entry.file}`;
       
-      video.src = videoPath;
-      video.autoplay = true;
-      video.loop = true;
-      video.muted = true;
-      video.playsInline = true;
-      video.style.cssText = `
-        min-width: 100%;
-        min-height: 100%;
-        width: 150%;
-        height: 150%;
-        object-fit: cover;
-        object-position: center;
-        opacity: 0.85;
-        filter: brightness(0.9) contrast(1.1) saturate(0.8) hue-rotate(10deg);
-        mix-blend-mode: luminosity;
-      `;
-      
-      video.onloadeddata = function() {
-        console.log('✓ Video loaded successfully:', this.src);
-        this.play().catch(e => console.log('Video autoplay failed:', e));
-        loadedCount++;
-      };
+      // Skip files already known to be missing
+      if (this.missingAssets.has(path)) return;
       
-      video.onerror = function() {
-        console.log('✗ Video failed:', videoPath);
-        this.remove();
-      };
+      const description = entry.alt || `${data.title} portfolio ${entry.type} ${index + 1}`;
+      let element;
       
-      container.appendChild(video);
-    });
-    
-    // Then try numbered image files
-    for (let i = 1; i <= maxImages; i++) {
-      const img = document.createElement('img');
-      const jpgPath = `${folderPath}${i}.jpg`;
-      const pngPath = `${folderPath}${i}.png`;
+      if (entry.type === 'video') {
+        element = document.createElement('video');
+        element.autoplay = true;
+        element.loop = true;
+        element.muted = true;
+        element.playsInline = true;
+        element.setAttribute('aria-label', description);
+        element.style.cssText = `
+          min-width: 100%;
+          min-height: 100%;
+          width: 150%;
+          height: 150%;
+          object-fit: cover;
+          object-position: center;
+          opacity: 0.85;
+          filter: brightness(0.9) contrast(1.1) saturate(0.8) hue-rotate(10deg);
+          mix-blend-mode: luminosity;
+        `;
+      } else {
+        element = document.createElement('img');
+        element.alt = description;
+        element.loading = 'lazy';
+      }
       
-      img.alt = `Portfolio image ${i}`;
-      img.loading = 'lazy';
+      if (entry.caption) {
+        element.title = entry.caption;
+        element.setAttribute('data-caption', entry.caption);
+      }
       
-      // Try JPG first
-      img.src = jpgPath;
-      console.log('Attempting to load:', jpgPath);
+      if (entry.type === 'video') {
+        element.addEventListener('loadeddata', () => {
+          element.play().catch(e => console.log('Video autoplay failed:', e));
+        }, { once: true });
+      }
       
-      img.onload = function() {
-        console.log('✓ Image loaded successfully:', this.src);
-        loadedCount++;
-      };
+      // The minimap only counts a card as having something to see once it shows
+      element.addEventListener(entry.type === 'video' ? 'loadeddata' : 'load', () => {
+        element.classList.add('loaded');
+        this.updateMinimapCards();
+      }, { once: true });
       
-      img.onerror = function() {
-        console.log('✗ JPG failed, trying PNG:', pngPath);
-        // Try PNG
-        this.src = pngPath;
-        this.onerror = function() {
-          console.log('✗ PNG also failed, removing element');
-          this.remove();
-        };
-        this.onload = function() {
-          console.log('✓ PNG loaded successfully:', this.src);
-          loadedCount++;
-        };
-      };
+      // Files listed in the manifest but missing on disk are reported once
+      element.addEventListener('error', () => {
+        if (!this.missingAssets.has(path)) {
+          this.missingAssets.add(path);
+          console.warn('Media file listed in asset manifest is missing:', path);
+        }
+        element.remove();
+        
+        // Once none of its media is left the card no longer opens the lightbox
+        if (card && container.children.length === 0) {
+          card.classList.remove('has-media');
+          card.removeAttribute('tabindex');
+          card.removeAttribute('role');
+          card.removeAttribute('aria-label');
+        }
+        this.updateMinimapCards();
+      }, { once: true });
       
-      container.appendChild(img);
+      element.src = path;
+      container.appendChild(element);
+    });
+    
+    // Cards with media open the lightbox, so make them reachable by keyboard too
+    if (card && container.children.length > 0) {
+      const heading = card.querySelector('h3');
+      card.classList.add('has-media');
+      card.setAttribute('tabindex', '0');
+      card.setAttribute('role', 'button');
+      card.setAttribute('aria-label', `View ${heading ? heading.textContent : 'card'} media`);
     }
+  }
+  
+  /**
+   * Collect the lightbox items for a card from its loaded media
+   * Media that failed to load has already been removed from the card
+   * @param {HTMLElement} card - Hall card element
+   * @returns {Array} Lightbox items
+   */
+  getCardLightboxItems(card) {
+    return Array.from(card.querySelectorAll('.card-images img, .card-images video')).map(element => ({
+      type: element.tagName === 'VIDEO' ? 'video' : 'image',
+      src: element.getAttribute('src'),
+      alt: element.tagName === 'VIDEO' ? element.getAttribute('aria-label') : element.alt,
+      caption: element.getAttribute('data-caption')
+    }));
+  }
+  
+  /**
+   * Open a card's media in the lightbox
+   * @param {HTMLElement} card - Hall card element
+   * @param {HTMLElement} clickedMedia - Media element to start at (optional)
+   */
+  openCardLightbox(card, clickedMedia) {
+    if (!this.lightbox) return;
+    
+    const items = this.getCardLightboxItems(card);
+    const mediaElements = Array.from(card.querySelectorAll('.card-images img, .card-images video'));
+    const startIndex = Math.max(0, mediaElements.indexOf(clickedMedia));
+    
+    this.lightbox.open(items, startIndex);
+  }
+  
+  /**
+   * Handle clicks on card media (ignored at the end of a look-around drag)
+   * @param {MouseEvent} event
+   */
+  handleCardClick(event) {
+    // In pointer-lock mode cards are opened through the crosshair instead
+    if (this.dragDistance > 5 || this.pointerLockEnabled) return;
+    
+    const card = event.target.closest('.hall-card.has-media');
+    if (!card || event.target.closest('.card-body')) return;
     
-    console.log('Appended media elements to container');
+    this.openCardLightbox(card, event.target);
+  }
+  
+  /**
+   * Open a focused card's media with Enter or Space
+   * @param {KeyboardEvent} event
+   */
+  handleCardKeyDown(event) {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+    
+    const card = event.target.closest('.hall-card.has-media');
+    if (!card || card !== event.target) return;
+    
+    event.preventDefault();
+    this.openCardLightbox(card);
+  }
+  
+  /**
+   * Stop camera movement and look-around (while the lightbox is open)
+   */
+  suspendCamera() {
+    this.exitPointerLock();
+    this.keys = this.createKeyState();
+    this.resetJoysticks();
+    this.touchPoints.clear();
+    this.tapStart = null;
+    this.pinchStart = null;
+    this.isDragging = false;
+    this.lastMousePos = null;
+    this.stopAnimation();
+  }
+  
+  /**
+   * Resume camera movement after suspendCamera()
+   */
+  resumeCamera() {
+    if (this.isOpen && !this.animationFrameId) {
+      this.startAnimation();
+    }
   }
   
   /**
@@ -760,6 +1406,16 @@ class DetailView {
   hide() {
     if (!this.isOpen) return;
     
+    // Close the lightbox first (e.g. when leaving with the browser back button)
+    if (this.lightbox && this.lightbox.isOpen) {
+      this.lightbox.close();
+    }
+    
+    // Give the mouse back
+    this.exitPointerLock();
+    this.setTargetedCard(null);
+    this.setFacedCard(-1);
+    
     // Clean up ALL dynamic styles that might affect the main museum
     const dynamicFloorStyle = document.querySelector('.dynamic-floor-style');
     if (dynamicFloorStyle) dynamicFloorStyle.remove();
@@ -805,6 +1461,7 @@ class DetailView {
     this.detailView.setAttribute('aria-hidden', 'true');
     
     // Set state
+    const closedData = this.currentData;
     this.isOpen = false;
     this.currentData = null;
     
@@ -815,7 +1472,14 @@ class DetailView {
     this.detailView.removeEventListener('mousedown', this.handleMouseDown);
     window.removeEventListener('mousemove', this.handleMouseMove);
     window.removeEventListener('mouseup', this.handleMouseUp);
+    document.removeEventListener('pointerlockchange', this.handlePointerLockChange);
+    this.detailView.removeEventListener('touchstart', this.handleTouchStart);
+    this.detailView.removeEventListener('touchmove', this.handleTouchMove);
+    this.detailView.removeEventListener('touchend', this.handleTouchEnd);
+    this.detailView.removeEventListener('touchcancel', this.handleTouchEnd);
     this.detailView.removeEventListener('wheel', this.handleWheel);
+    this.wallGrid.removeEventListener('click', this.handleCardClick);
+    this.wallGrid.removeEventListener('keydown', this.handleCardKeyDown);
     
     // Stop animation
     this.stopAnimation();
@@ -825,9 +1489,18 @@ class DetailView {
     this.targetRotation = { x: 0, y: 0 };
     this.position = { x: 0, y: 0, z: 600 };
     this.targetPosition = { x: 0, y: 0, z: 600 };
-    this.keys = { w: false, a: false, s: false, d: false };
+    this.keys = this.createKeyState();
+    this.resetJoysticks();
+    this.touchPoints.clear();
+    this.tapStart = null;
+    this.pinchStart = null;
+    this.detailView.style.perspective = '';
     
     console.log('Detail view closed');
+    
+    if (this.onHide) {
+      this.onHide(closedData);
+    }
   }
   
   /**
@@ -835,13 +1508,28 @@ class DetailView {
    */
   handleMouseDown(event) {
     // Allow dragging anywhere, including on cards
-    // Only prevent drag on the back button
-    if (event.target.closest('.back-button')) {
+    // While the mouse is captured, clicks act on the card under the crosshair
+    if (this.isPointerLocked()) {
+      event.preventDefault();
+      this.activateTargetedCard();
+      return;
+    }
+    
+    // Only prevent drag on the controls and card links/previews, so they stay clickable
+    if (event.target.closest(DetailView.CONTROL_SELECTOR)) {
+      return;
+    }
+    
+    // In pointer-lock mode a click captures the mouse instead of starting a drag
+    if (this.pointerLockEnabled) {
+      event.preventDefault();
+      this.requestPointerLock();
       return;
     }
     
     event.preventDefault();
     this.isDragging = true;
+    this.dragDistance = 0;
     this.lastMousePos = {
       x: event.clientX,
       y: event.clientY
@@ -862,6 +1550,14 @@ class DetailView {
    * Handle mouse movement for FPS camera look
    */
   handleMouseMove(event) {
+    // A captured mouse looks around without dragging
+    if (this.isPointerLocked()) {
+      this.targetRotation.y -= event.movementX * this.mouseSensitivity;
+      this.targetRotation.x -= event.movementY * this.mouseSensitivity;
+      this.targetRotation.x = Math.max(this.MIN_PITCH, Math.min(this.MAX_PITCH, this.targetRotation.x));
+      return;
+    }
+    
     if (!this.isDragging || !this.lastMousePos) {
       return;
     }
@@ -869,6 +1565,7 @@ class DetailView {
     // Calculate mouse delta
     const deltaX = event.clientX - this.lastMousePos.x;
     const deltaY = event.clientY - this.lastMousePos.y;
+    this.dragDistance += Math.abs(deltaX) + Math.abs(deltaY);
     
     // Update target rotation for FPS look
     // Horizontal mouse movement = yaw (left/right) - INVERTED for natural feel
@@ -887,10 +1584,253 @@ class DetailView {
     };
   }
   
+  /**
+   * Check if the mouse is captured by the hall
+   * @returns {Boolean} True while pointer lock is active
+   */
+  isPointerLocked() {
+    return this.canLockPointer && document.pointerLockElement === this.detailView;
+  }
+  
+  /**
+   * Switch pointer-lock mouse look on or off (the "Mouse look" button)
+   * Turning it on captures the mouse straight away
+   */
+  togglePointerLock() {
+    this.pointerLockEnabled = !this.pointerLockEnabled;
+    this.lookToggle.setAttribute('aria-pressed', String(this.pointerLockEnabled));
+    
+    if (this.pointerLockEnabled) {
+      this.requestPointerLock();
+    } else {
+      this.exitPointerLock();
+    }
+  }
+  
+  /**
+   * Capture the mouse
+   */
+  requestPointerLock() {
+    if (!this.canLockPointer || !this.isOpen) return;
+    
+    const request = this.detailView.requestPointerLock();
+    // Newer browsers return a promise that rejects when the lock is refused
+    if (request && typeof request.catch === 'function') {
+      request.catch(error => console.warn('Pointer lock refused:', error));
+    }
+  }
+  
+  /**
+   * Release the mouse if the hall has it
+   */
+  exitPointerLock() {
+    if (this.isPointerLocked()) {
+      document.exitPointerLock();
+    }
+  }
+  
+  /**
+   * Show the crosshair while the mouse is captured
+   */
+  handlePointerLockChange() {
+    const isLocked = this.isPointerLocked();
+    this.detailView.classList.toggle('pointer-locked', isLocked);
+    
+    if (!isLocked) {
+      // Remember when, so the Esc that released the mouse doesn't close the hall
+      this.pointerLockReleasedAt = this.clock();
+      this.setTargetedCard(null);
+    }
+  }
+  
+  /**
+   * Highlight the card under the crosshair (the center of the view)
+   */
+  updateTargetedCard() {
+    if (!this.isPointerLocked()) return;
+    
+    const rect = this.detailView.getBoundingClientRect();
+    const element = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+    this.setTargetedCard(element ? element.closest('.hall-card') : null);
+  }
+  
+  /**
+   * Change the highlighted card
+   * @param {HTMLElement|null} card - Card under the crosshair
+   */
+  setTargetedCard(card) {
+    if (card === this.targetedCard) return;
+    
+    if (this.targetedCard) {
+      this.targetedCard.classList.remove('targeted');
+    }
+    if (card) {
+      card.classList.add('targeted');
+    }
+    
+    this.targetedCard = card;
+  }
+  
+  /**
+   * Act on the card under the crosshair
+   * Walks up to it, or opens its media once the camera is already there
+   */
+  activateTargetedCard() {
+    const card = this.targetedCard;
+    if (!card) return;
+    
+    const cardId = card.getAttribute('data-card');
+    const index = getPortfolioCards(this.currentData).findIndex(cardData => cardData.id === cardId);
+    
+    if (index === this.currentCardIndex && card.classList.contains('has-media')) {
+      // The lightbox releases the mouse (see suspendCamera)
+      this.openCardLightbox(card);
+    } else {
+      this.focusCard(cardId);
+    }
+  }
+  
+  /**
+   * Track new touches and start tap/pinch detection
+   * Touches on the buttons, sticks and card links are left to those controls
+   * @param {TouchEvent} event
+   */
+  handleTouchStart(event) {
+    Array.from(event.changedTouches).forEach(touch => {
+      if (touch.target.closest(DetailView.CONTROL_SELECTOR)) return;
+      this.touchPoints.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+    });
+    
+    const points = Array.from(this.touchPoints.values());
+    
+    // A tap is a single short touch that barely moves
+    this.tapStart = points.length === 1 && event.touches.length === 1
+      ? { x: points[0].x, y: points[0].y, time: this.clock() }
+      : null;
+    
+    if (points.length === 2) {
+      this.pinchStart = { distance: this.getPointDistance(points[0], points[1]), fovZoom: this.fovZoom };
+    }
+  }
+  
+  /**
+   * One finger looks around; two fingers walk (swipe up to go forward) and pinch to zoom
+   * @param {TouchEvent} event
+   */
+  handleTouchMove(event) {
+    const previous = Array.from(this.touchPoints.values()).map(point => ({ x: point.x, y: point.y }));
+    let moved = false;
+    
+    Array.from(event.changedTouches).forEach(touch => {
+      if (!this.touchPoints.has(touch.identifier)) return;
+      this.touchPoints.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+      moved = true;
+    });
+    
+    if (!moved) return;
+    
+    // Keep the page from scrolling or zooming
+    event.preventDefault();
+    
+    const points = Array.from(this.touchPoints.values());
+    
+    if (this.tapStart && this.getPointDistance(this.tapStart, points[0]) > this.TAP_MAX_DISTANCE) {
+      this.tapStart = null;
+    }
+    
+    if (points.length === 1) {
+      // Drag the view, like the mouse
+      const deltaX = points[0].x - previous[0].x;
+      const deltaY = points[0].y - previous[0].y;
+      
+      this.targetRotation.y -= deltaX * this.touchSensitivity;
+      this.targetRotation.x -= deltaY * this.touchSensitivity;
+      this.targetRotation.x = Math.max(this.MIN_PITCH, Math.min(this.MAX_PITCH, this.targetRotation.x));
+    } else if (points.length === 2) {
+      // Walk with the movement of the midpoint
+      const deltaX = (points[0].x + points[1].x - previous[0].x - previous[1].x) / 2;
+      const deltaY = (points[0].y + points[1].y - previous[0].y - previous[1].y) / 2;
+      this.walk(-deltaY * this.touchWalkSpeed, deltaX * this.touchWalkSpeed);
+      
+      // Pinch apart to zoom in
+      if (this.pinchStart && this.pinchStart.distance > 0) {
+        const scale = this.getPointDistance(points[0], points[1]) / this.pinchStart.distance;
+        this.setFovZoom(this.pinchStart.fovZoom * scale);
+      }
+    }
+  }
+  
+  /**
+   * Forget ended touches and walk to a tapped card
+   * @param {TouchEvent} event
+   */
+  handleTouchEnd(event) {
+    const tap = this.tapStart;
+    const isTap = tap && this.touchPoints.size === 1 && this.clock() - tap.time <= this.TAP_MAX_DURATION;
+    
+    Array.from(event.changedTouches).forEach(touch => {
+      if (!this.touchPoints.has(touch.identifier)) return;
+      this.touchPoints.delete(touch.identifier);
+      
+      if (isTap && event.type === 'touchend') {
+        this.handleTap(touch.target, event);
+      }
+    });
+    
+    this.tapStart = null;
+    
+    // Pinching starts over when a second finger comes back down
+    if (this.touchPoints.size < 2) {
+      this.pinchStart = null;
+    }
+  }
+  
+  /**
+   * Walk up to a tapped card
+   * Tapping the card the camera is already at falls through to the usual click,
+   * which opens its media
+   * @param {HTMLElement} target - Tapped element
+   * @param {TouchEvent} event - The touchend event
+   */
+  handleTap(target, event) {
+    const card = target.closest('.hall-card');
+    if (!card) return;
+    
+    const cardId = card.getAttribute('data-card');
+    const index = getPortfolioCards(this.currentData).findIndex(cardData => cardData.id === cardId);
+    if (index === this.currentCardIndex) return;
+    
+    // Stop the browser turning the tap into a click (which would open the lightbox)
+    event.preventDefault();
+    this.focusCard(cardId);
+  }
+  
+  /**
+   * Calculate distance between two points
+   * @param {Object} a - Point ({ x, y })
+   * @param {Object} b - Point ({ x, y })
+   * @returns {Number} Distance in px
+   */
+  getPointDistance(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+  
+  /**
+   * Set the field-of-view zoom
+   * @param {Number} zoom - Zoom factor (clamped to MIN_FOV_ZOOM..MAX_FOV_ZOOM, 1 is the stylesheet's view)
+   */
+  setFovZoom(zoom) {
+    this.fovZoom = Math.max(this.MIN_FOV_ZOOM, Math.min(this.MAX_FOV_ZOOM, zoom));
+    this.detailView.style.perspective = `${this.basePerspective * this.fovZoom}px`;
+  }
+  
   /**
    * Start animation loop
    */
   startAnimation() {
+    this.lastFrameTime = null;
     this.updateCamera();
   }
   
@@ -910,17 +1850,36 @@ class DetailView {
   updateCamera() {
     if (!this.isOpen) return;
     
-    // Update movement based on WASD keys
-    this.updateMovement();
+    const now = this.clock();
+    const deltaTime = getFrameDelta(now, this.lastFrameTime);
+    this.lastFrameTime = now;
+    
+    // Read the gamepad (sticks have no events, so poll every frame)
+    this.gamepadState = this.gamepad ? this.gamepad.poll() : null;
+    if (this.gamepadState) {
+      this.handleGamepadButtons(this.gamepadState.pressed);
+      
+      // B closes the hall; A may have opened the lightbox, which suspends the camera
+      if (!this.isOpen || (this.lightbox && this.lightbox.isOpen)) return;
+    }
+    
+    // Update movement based on keys, the on-screen sticks and the gamepad
+    this.updateMovement(deltaTime);
+    
+    // Follow the crosshair in pointer-lock mode
+    this.updateTargetedCard();
+    
+    // Focus the card the camera is close to and facing
+    this.setFacedCard(this.findFacedCard());
     
     // Smooth interpolation for rotation (camera look)
-    this.rotation.x += (this.targetRotation.x - this.rotation.x) * 0.15;
-    this.rotation.y += (this.targetRotation.y - this.rotation.y) * 0.15;
+    this.rotation.x = damp(this.rotation.x, this.targetRotation.x, this.ROTATION_DAMPING, deltaTime);
+    this.rotation.y = damp(this.rotation.y, this.targetRotation.y, this.ROTATION_DAMPING, deltaTime);
     
     // Smooth interpolation for position (camera movement)
-    this.position.x += (this.targetPosition.x - this.position.x) * 0.12;
-    this.position.y += (this.targetPosition.y - this.position.y) * 0.12;
-    this.position.z += (this.targetPosition.z - this.position.z) * 0.12;
+    this.position.x = damp(this.position.x, this.targetPosition.x, this.POSITION_DAMPING, deltaTime);
+    this.position.y = damp(this.position.y, this.targetPosition.y, this.POSITION_DAMPING, deltaTime);
+    this.position.z = damp(this.position.z, this.targetPosition.z, this.POSITION_DAMPING, deltaTime);
     
     // Apply FPS camera transform to wall-grid
     // Rotate first (where you're looking), then translate (where you are)
@@ -932,84 +1891,326 @@ class DetailView {
       `;
     }
     
+    this.updateMinimapCamera();
+    
     // Continue animation
     this.animationFrameId = requestAnimationFrame(this.updateCamera);
   }
   
   /**
    * Handle keyboard events (ESC to close)
+   * In pointer-lock mode Esc first releases the mouse; browsers release it
+   * themselves and may or may not still deliver the key, so an Esc right after
+   * a release is treated as part of it
    * @param {KeyboardEvent} event
    */
   handleKeyPress(event) {
-    if (event.key === 'Escape' && this.isOpen) {
-      this.hide();
+    if (event.key !== 'Escape' || !this.isOpen) return;
+    
+    const justReleased = this.clock() - this.pointerLockReleasedAt < this.POINTER_LOCK_ESCAPE_WINDOW;
+    if (this.isPointerLocked() || justReleased) {
+      this.exitPointerLock();
+      return;
     }
+    
+    this.hide();
+  }
+  
+  /**
+   * Create the held state for every action in the key map
+   * @returns {Object} Action name -> false
+   */
+  createKeyState() {
+    const keys = {};
+    Object.keys(this.keyMap).forEach(action => {
+      keys[action] = false;
+    });
+    return keys;
+  }
+  
+  /**
+   * Find the action bound to a key
+   * @param {KeyboardEvent} event
+   * @returns {String|null} Action name
+   */
+  getKeyAction(event) {
+    const actions = Object.keys(this.keyMap);
+    return actions.find(action =>
+      this.keyMap[action].includes(event.code) || this.keyMap[action].includes(event.key)
+    ) || null;
   }
   
   /**
-   * Handle key down for WASD movement
+   * Handle key down for movement, turning and card jumps
    * @param {KeyboardEvent} event
    */
   handleKeyDown(event) {
     if (!this.isOpen) return;
     
-    const key = event.key.toLowerCase();
-    if (key === 'w' || key === 'a' || key === 's' || key === 'd') {
-      this.keys[key] = true;
-      event.preventDefault();
+    // Leave browser and system shortcuts alone
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    const action = this.getKeyAction(event);
+    if (!action) return;
+    
+    event.preventDefault();
+    
+    if (action === 'nextCard' || action === 'previousCard') {
+      if (!event.repeat) {
+        this.stepCard(action === 'nextCard' ? 1 : -1);
+      }
+      return;
     }
+    
+    this.keys[action] = true;
   }
   
   /**
-   * Handle key up for WASD movement
+   * Handle key up for movement and turning
    * @param {KeyboardEvent} event
    */
   handleKeyUp(event) {
     if (!this.isOpen) return;
     
-    const key = event.key.toLowerCase();
-    if (key === 'w' || key === 'a' || key === 's' || key === 'd') {
-      this.keys[key] = false;
+    const action = this.getKeyAction(event);
+    if (action) {
+      this.keys[action] = false;
       event.preventDefault();
     }
   }
   
   /**
-   * Update camera position based on WASD keys (FPS movement)
+   * Handle gamepad button presses
+   * @param {Object} pressed - Actions pressed this frame (see GamepadInput.poll)
    */
-  updateMovement() {
-    // Calculate movement direction based on camera yaw (Y rotation only)
+  handleGamepadButtons(pressed) {
+    if (pressed.back) {
+      this.hide();
+    } else if (pressed.next) {
+      this.nextCard();
+    } else if (pressed.previous) {
+      this.previousCard();
+    } else if (pressed.select) {
+      this.openFacedCard();
+    }
+  }
+  
+  /**
+   * Get the element of a hall card
+   * @param {Number} index - Card index
+   * @returns {HTMLElement|null} Card element
+   */
+  getCardElement(index) {
+    const cardData = this.currentData ? getPortfolioCards(this.currentData)[index] : null;
+    if (!cardData) return null;
+    
+    return Array.from(this.wallGrid.querySelectorAll('.hall-card'))
+      .find(element => element.getAttribute('data-card') === cardData.id) || null;
+  }
+  
+  /**
+   * Find the card the camera is close to and facing
+   * Cards are only faced from the hallway side, not from behind
+   * @returns {Number} Card index, or -1 if none is in focus
+   */
+  findFacedCard() {
+    if (!this.hallLayout) return -1;
+    
+    // Forward is (-sin(yaw), -cos(yaw)), as in walk()
     const yaw = (this.rotation.y * Math.PI) / 180;
+    const forwardX = -Math.sin(yaw);
+    const forwardZ = -Math.cos(yaw);
+    const minCos = Math.cos((this.CARD_FOCUS_ANGLE * Math.PI) / 180);
+    
+    let facedIndex = -1;
+    let facedDistance = Infinity;
+    
+    this.hallLayout.slots.forEach((slot, index) => {
+      const dx = slot.x - this.position.x;
+      const dz = slot.z - this.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      
+      if (distance === 0 || distance > this.CARD_FOCUS_DISTANCE) return;
+      if ((dx * forwardX + dz * forwardZ) / distance < minCos) return;
+      // Cards face the hallway center, away from their side
+      if ((this.position.x - slot.x) * slot.side > 0) return;
+      
+      if (distance < facedDistance) {
+        facedDistance = distance;
+        facedIndex = index;
+      }
+    });
+    
+    return facedIndex;
+  }
+  
+  /**
+   * Bring a card into focus: highlight it, fill in the overlay and announce it
+   * @param {Number} index - Card index, or -1 to clear the focus
+   */
+  setFacedCard(index) {
+    if (index === this.facedCardIndex) return;
     
-    // Forward/backward (W/S) - move along view direction
-    if (this.keys.w) {
-      this.targetPosition.x -= Math.sin(yaw) * this.moveSpeed;
-      this.targetPosition.z -= Math.cos(yaw) * this.moveSpeed;
+    const previous = this.getCardElement(this.facedCardIndex);
+    if (previous) {
+      previous.classList.remove('in-focus');
     }
-    if (this.keys.s) {
-      this.targetPosition.x += Math.sin(yaw) * this.moveSpeed;
-      this.targetPosition.z += Math.cos(yaw) * this.moveSpeed;
+    
+    this.facedCardIndex = index;
+    
+    const card = this.getCardElement(index);
+    if (!card) {
+      if (this.cardOverlay) this.cardOverlay.hidden = true;
+      return;
+    }
+    
+    const cardData = getPortfolioCards(this.currentData)[index];
+    const caption = this.getCardCaption(cardData, card);
+    card.classList.add('in-focus');
+    
+    if (this.cardOverlay) {
+      this.overlayTitle.textContent = cardData.title;
+      this.overlayCaption.textContent = caption;
+      this.overlayOpenBtn.setAttribute('aria-label', `Open ${cardData.title}`);
+      this.cardOverlay.hidden = false;
     }
     
-    // Strafe left/right (A/D) - move perpendicular to view direction
-    if (this.keys.a) {
-      this.targetPosition.x -= Math.cos(yaw) * this.moveSpeed;
-      this.targetPosition.z += Math.sin(yaw) * this.moveSpeed;
+    this.announce(`${cardData.title}. ${caption}`);
+  }
+  
+  /**
+   * Describe a card in one line for the overlay
+   * @param {Object} cardData - Card definition
+   * @param {HTMLElement} card - Card element
+   * @returns {String} Caption
+   */
+  getCardCaption(cardData, card) {
+    if (cardData.content) {
+      // First line of the text, without Markdown markers
+      const firstLine = cardData.content.split('\n').map(line => line.trim()).find(line => line !== '') || '';
+      return firstLine.replace(/^(#{1,3}|[-*])\s+/, '').replace(/[*_`]/g, '');
     }
-    if (this.keys.d) {
-      this.targetPosition.x += Math.cos(yaw) * this.moveSpeed;
-      this.targetPosition.z -= Math.sin(yaw) * this.moveSpeed;
+    
+    switch (getCardType(cardData)) {
+      case 'links': {
+        const count = this.getCardLinks(cardData, this.currentData).length;
+        return `${count} link${count === 1 ? '' : 's'}`;
+      }
+      case 'contact':
+        return 'Contact details';
+      case 'pdf':
+        return 'PDF document';
+      default: {
+        const items = this.getCardLightboxItems(card);
+        if (items.length === 0) return 'No media yet';
+        return items[0].caption || `${items.length} photo${items.length === 1 ? '' : 's'} or video${items.length === 1 ? '' : 's'}`;
+      }
     }
+  }
+  
+  /**
+   * Open the card in focus (the overlay's "Open" button)
+   * Media cards open in the lightbox; other cards are walked up to and their
+   * content gets keyboard focus so it can be read and its links followed
+   */
+  openFacedCard() {
+    const index = this.facedCardIndex !== -1 ? this.facedCardIndex : this.currentCardIndex;
+    const card = this.getCardElement(index);
+    if (!card) return;
     
-    // Apply hallway boundaries
-    // Limit left/right movement (X axis)
-    this.targetPosition.x = Math.max(-this.hallwayWidth, Math.min(this.hallwayWidth, this.targetPosition.x));
+    if (card.classList.contains('has-media')) {
+      this.openCardLightbox(card);
+      return;
+    }
     
-    // Limit forward/backward movement (Z axis) - can't go past entrance or end
-    this.targetPosition.z = Math.max(-this.hallwayLength, Math.min(this.hallwayForwardLimit, this.targetPosition.z));
+    this.focusCard(card.getAttribute('data-card'));
+    
+    const body = card.querySelector('.card-body');
+    if (body) {
+      body.setAttribute('tabindex', '-1');
+      body.focus({ preventScroll: true });
+    }
+  }
+  
+  /**
+   * Combine an on-screen stick with the matching gamepad stick
+   * @param {String} stick - 'move' or 'look'
+   * @returns {Object} Deflection ({ x, y }), -1..1 on each axis
+   */
+  getStickInput(stick) {
+    const joystick = stick === 'move' ? this.moveStick : this.lookPad;
+    const sources = [
+      joystick ? joystick.value : null,
+      this.gamepadState ? this.gamepadState[stick] : null
+    ].filter(Boolean);
+    
+    const clamp = value => Math.max(-1, Math.min(1, value));
+    return {
+      x: clamp(sources.reduce((sum, value) => sum + value.x, 0)),
+      y: clamp(sources.reduce((sum, value) => sum + value.y, 0))
+    };
+  }
+  
+  /**
+   * Recenter the on-screen sticks
+   */
+  resetJoysticks() {
+    if (this.moveStick) this.moveStick.reset();
+    if (this.lookPad) this.lookPad.reset();
+  }
+  
+  /**
+   * Update camera position and heading from the keys, on-screen sticks and gamepad (FPS movement)
+   * @param {Number} deltaTime - Time since the previous frame in ms
+   */
+  updateMovement(deltaTime) {
+    const move = this.getStickInput('move');
+    const look = this.getStickInput('look');
+    const seconds = deltaTime / 1000;
+    
+    // Turning - left increases yaw, like dragging the view to the right
+    const turn = (this.keys.turnLeft ? 1 : 0) - (this.keys.turnRight ? 1 : 0);
+    this.targetRotation.y += (turn * this.turnSpeed - look.x * this.lookPadSpeed) * seconds;
+    this.targetRotation.x -= look.y * this.lookPadSpeed * seconds;
+    this.targetRotation.x = Math.max(this.MIN_PITCH, Math.min(this.MAX_PITCH, this.targetRotation.x));
+    
+    // Forward/backward and strafe amounts, -1..1 (the stick points up for forward)
+    const clamp = value => Math.max(-1, Math.min(1, value));
+    const forward = clamp((this.keys.forward ? 1 : 0) - (this.keys.backward ? 1 : 0) - move.y);
+    const strafe = clamp((this.keys.right ? 1 : 0) - (this.keys.left ? 1 : 0) + move.x);
+    
+    if (forward !== 0 || strafe !== 0) {
+      this.walk(forward * this.moveSpeed * seconds, strafe * this.moveSpeed * seconds);
+    }
+  }
+  
+  /**
+   * Move the camera target relative to the current heading
+   * @param {Number} forward - Distance along the view direction (negative walks back)
+   * @param {Number} strafe - Distance to the right (negative walks left)
+   */
+  walk(forward, strafe) {
+    // Walking away from a card ends the card-by-card sequence
+    if (this.currentCardIndex !== -1) {
+      this.currentCardIndex = -1;
+      this.updateCardCounter();
+    }
+    
+    // Calculate movement direction based on camera yaw (Y rotation only)
+    const yaw = (this.rotation.y * Math.PI) / 180;
+    
+    // Forward moves along the view direction, strafe perpendicular to it
+    const from = { x: this.targetPosition.x, z: this.targetPosition.z };
+    const to = {
+      x: from.x - Math.sin(yaw) * forward + Math.cos(yaw) * strafe,
+      z: from.z - Math.cos(yaw) * forward - Math.sin(yaw) * strafe
+    };
+    
+    // Stay inside the hallway and slide along cards and walls instead of walking through them
+    const reached = this.hallGeometry ? resolveHallMovement(from, to, this.hallGeometry) : to;
     
     // Keep Y at 0 (no vertical movement)
-    this.targetPosition.y = 0;
+    this.targetPosition = { x: reached.x, y: 0, z: reached.z };
   }
   
   /**
@@ -1017,6 +2218,22 @@ class DetailView {
    */
   destroy() {
     this.backBtn.removeEventListener('click', this.hide);
+    if (this.cardNav) {
+      this.prevCardBtn.removeEventListener('click', this.previousCard);
+      this.nextCardBtn.removeEventListener('click', this.nextCard);
+    }
+    if (this.lookToggle) {
+      this.lookToggle.removeEventListener('click', this.togglePointerLock);
+    }
+    if (this.cardOverlay) {
+      this.overlayOpenBtn.removeEventListener('click', this.openFacedCard);
+    }
+    if (this.minimap) {
+      this.minimap.removeEventListener('click', this.handleMinimapClick);
+    }
+    document.removeEventListener('pointerlockchange', this.handlePointerLockChange);
+    if (this.moveStick) this.moveStick.destroy();
+    if (this.lookPad) this.lookPad.destroy();
     document.removeEventListener('keydown', this.handleKeyPress);
     document.removeEventListener('keydown', this.handleKeyDown);
     document.removeEventListener('keyup', this.handleKeyUp);
@@ -1026,3 +2243,20 @@ class DetailView {
     this.stopAnimation();
   }
 }
+
+// Hall controls and card content that handle their own pointer/touch input
+DetailView.CONTROL_SELECTOR = '.back-button, .hall-look-toggle, .hall-card-overlay, .hall-minimap, .hall-card-nav, .hall-touch-controls, .card-body a, .card-body iframe';
+
+// Default Memory Hall key bindings
+// Entries are KeyboardEvent.code values (physical keys, so WASD keeps its shape on
+// AZERTY and other layouts) or KeyboardEvent.key values
+DetailView.DEFAULT_KEY_MAP = {
+  forward: ['KeyW', 'ArrowUp'],
+  backward: ['KeyS', 'ArrowDown'],
+  left: ['KeyA'],
+  right: ['KeyD'],
+  turnLeft: ['KeyQ', 'ArrowLeft'],
+  turnRight: ['KeyE', 'ArrowRight'],
+  previousCard: ['BracketLeft', 'PageUp'],
+  nextCard: ['BracketRight', 'PageDown']
+};
@@ -0,0 +1,123 @@
+/**
+ * GamepadInput Class
+ * Reads a game controller through the Gamepad API for the kiosk setup
+ *
+ * There are no gamepad events for sticks, so the owner calls poll() once per
+ * animation frame. Sticks come back with a radial dead-zone applied; buttons
+ * are reported by action (see GamepadInput.DEFAULT_BINDINGS), both while held
+ * and on the frame they were pressed.
+ *
+ * Owners that share one instance (the museum and its hall) take turns polling,
+ * so each press is reported once; the others can read the last result from `state`.
+ */
+class GamepadInput {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {Object} options.buttons - Button indices per action, merged over DEFAULT_BINDINGS.buttons
+   * @param {Object} options.axes - Axis indices per stick direction, merged over DEFAULT_BINDINGS.axes
+   * @param {Number} options.deadZone - Stick deflection (0-1) treated as centered
+   */
+  constructor(options = {}) {
+    this.buttons = Object.assign({}, GamepadInput.DEFAULT_BINDINGS.buttons, options.buttons);
+    this.axes = Object.assign({}, GamepadInput.DEFAULT_BINDINGS.axes, options.axes);
+    this.deadZone = options.deadZone !== undefined ? options.deadZone : 0.2;
+
+    // Actions held on the previous poll, to detect new presses
+    this.heldActions = {};
+    
+    // Result of the last poll()
+    this.state = null;
+  }
+
+  /**
+   * Get the first connected gamepad
+   * @returns {Gamepad|null} Gamepad, or null if none is connected or the API is missing
+   */
+  getGamepad() {
+    if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+      return null;
+    }
+
+    const gamepads = Array.from(navigator.getGamepads() || []);
+    return gamepads.find(gamepad => gamepad && gamepad.connected) || null;
+  }
+
+  /**
+   * Apply the dead-zone to a stick, rescaling the rest of its range to 0-1
+   * @param {Number} x - Raw horizontal axis value
+   * @param {Number} y - Raw vertical axis value
+   * @returns {Object} Stick value ({ x, y }), right and down positive
+   */
+  applyDeadZone(x, y) {
+    const length = Math.sqrt(x * x + y * y);
+    if (length <= this.deadZone) {
+      return { x: 0, y: 0 };
+    }
+
+    const scale = Math.min(1, (length - this.deadZone) / (1 - this.deadZone)) / length;
+    return { x: x * scale, y: y * scale };
+  }
+
+  /**
+   * Read the gamepad
+   * @returns {Object} State with connected flag, move/look sticks, held and pressed
+   *   actions (action name -> Boolean), and active (true if anything is in use)
+   */
+  poll() {
+    const gamepad = this.getGamepad();
+    const state = {
+      connected: Boolean(gamepad),
+      move: { x: 0, y: 0 },
+      look: { x: 0, y: 0 },
+      held: {},
+      pressed: {},
+      active: false
+    };
+
+    const readAxis = index => (gamepad && gamepad.axes[index]) || 0;
+    const isButtonDown = index => Boolean(gamepad && gamepad.buttons[index] && gamepad.buttons[index].pressed);
+
+    state.move = this.applyDeadZone(readAxis(this.axes.moveX), readAxis(this.axes.moveY));
+    state.look = this.applyDeadZone(readAxis(this.axes.lookX), readAxis(this.axes.lookY));
+
+    Object.keys(this.buttons).forEach(action => {
+      const held = this.buttons[action].some(isButtonDown);
+      state.held[action] = held;
+      state.pressed[action] = held && !this.heldActions[action];
+    });
+
+    this.heldActions = state.held;
+    this.state = state;
+
+    state.active = state.move.x !== 0 || state.move.y !== 0 ||
+      state.look.x !== 0 || state.look.y !== 0 ||
+      Object.keys(state.held).some(action => state.held[action]);
+
+    return state;
+  }
+}
+
+// Default bindings for the "standard" gamepad layout
+// (0 A, 1 B, 2 X, 3 Y, 4/5 shoulders, 6/7 triggers, 12-15 d-pad up/down/left/right)
+GamepadInput.DEFAULT_BINDINGS = {
+  buttons: {
+    select: [0],
+    back: [1],
+    openHall: [3],
+    previous: [4, 14],
+    next: [5, 15],
+    zoomOut: [6],
+    zoomIn: [7]
+  },
+  axes: {
+    moveX: 0,
+    moveY: 1,
+    lookX: 2,
+    lookY: 3
+  }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GamepadInput;
+}
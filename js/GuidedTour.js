@@ -0,0 +1,268 @@
+/**
+ * GuidedTour Class
+ * Autoplay mode for kiosks: visits every exhibitor in turn, rotating the sphere
+ * to their bubble, opening their content panel and optionally walking their
+ * Memory Hall card by card
+ *
+ * Order, narration and dwell times come from the tour manifest (see getTourStops).
+ * Any user input pauses the tour; the tour bar resumes or exits it.
+ */
+class GuidedTour {
+  /**
+   * @param {PortfolioMuseum} museum - Running museum to drive
+   * @param {Array} stops - Stops from getTourStops()
+   */
+  constructor(museum, stops) {
+    this.museum = museum;
+    this.stops = stops;
+
+    // Get references to tour bar elements
+    this.bar = document.getElementById('tour-bar');
+    this.narration = this.bar.querySelector('.tour-narration');
+    this.toggleBtn = this.bar.querySelector('.tour-toggle');
+    this.exitBtn = this.bar.querySelector('.tour-exit');
+
+    // Track state: 'idle', 'playing' or 'paused'
+    this.state = 'idle';
+    this.steps = this.buildSteps();
+    this.stepIndex = 0;
+    this.stepTimeout = null;
+
+    // Optional callback, called with the new state whenever it changes
+    this.onStateChange = null;
+
+    // Bind methods to maintain context
+    this.handleToggle = this.handleToggle.bind(this);
+    this.handleUserInput = this.handleUserInput.bind(this);
+    this.exit = this.exit.bind(this);
+    this.advance = this.advance.bind(this);
+
+    // Set up button event listeners
+    this.toggleBtn.addEventListener('click', this.handleToggle);
+    this.exitBtn.addEventListener('click', this.exit);
+
+    this.bar.hidden = this.steps.length === 0;
+    this.render();
+  }
+
+  /**
+   * Flatten the stops into timed steps
+   * @returns {Array} Steps ({ action, stop, card, dwell, narration })
+   */
+  buildSteps() {
+    const steps = [];
+    const canWalkHall = Boolean(this.museum.detailView);
+
+    this.stops.forEach(stop => {
+      steps.push({ action: 'bubble', stop: stop, dwell: stop.dwell.bubble, narration: stop.item.title });
+      steps.push({ action: 'panel', stop: stop, dwell: stop.dwell.panel, narration: stop.narration });
+
+      if (stop.walkHall && canWalkHall && stop.cards.length > 0) {
+        steps.push({
+          action: 'hall',
+          stop: stop,
+          dwell: stop.dwell.hall,
+          narration: `${stop.item.title}'s Memory Hall`
+        });
+
+        stop.cards.forEach(card => {
+          steps.push({ action: 'card', stop: stop, card: card, dwell: stop.dwell.card, narration: card.narration });
+        });
+      }
+    });
+
+    return steps;
+  }
+
+  /**
+   * Check if the tour is currently playing
+   * @returns {Boolean} True while playing (not paused or idle)
+   */
+  isPlaying() {
+    return this.state === 'playing';
+  }
+
+  /**
+   * Start the tour from the first stop
+   */
+  start() {
+    if (this.steps.length === 0) return;
+
+    this.stepIndex = 0;
+    this.setState('playing');
+    this.runStep();
+  }
+
+  /**
+   * Pause the tour on the current step
+   */
+  pause() {
+    if (this.state !== 'playing') return;
+
+    this.clearStepTimeout();
+    this.setState('paused');
+  }
+
+  /**
+   * Resume a paused tour, replaying the current step so the view matches it again
+   */
+  resume() {
+    if (this.state !== 'paused') return;
+
+    this.setState('playing');
+    this.runStep();
+  }
+
+  /**
+   * Stop the tour, leaving the museum where it is
+   */
+  exit() {
+    if (this.state === 'idle') return;
+
+    this.clearStepTimeout();
+    this.setState('idle');
+  }
+
+  /**
+   * Perform the current step and schedule the next one
+   */
+  runStep() {
+    const step = this.steps[this.stepIndex];
+
+    this.performStep(step);
+    this.narration.textContent = step.narration || '';
+
+    this.clearStepTimeout();
+    this.stepTimeout = setTimeout(this.advance, step.dwell);
+  }
+
+  /**
+   * Move to the next step, looping back to the first stop after the last
+   */
+  advance() {
+    this.stepTimeout = null;
+    this.stepIndex = (this.stepIndex + 1) % this.steps.length;
+    this.runStep();
+  }
+
+  /**
+   * Drive the museum for a step
+   * Navigation goes through PortfolioMuseum.goTo() so the URL follows the tour
+   * without filling the back stack
+   * @param {Object} step - Step from buildSteps()
+   */
+  performStep(step) {
+    const museum = this.museum;
+    const slug = Router.slugFor(step.stop.item);
+
+    switch (step.action) {
+      case 'bubble': {
+        museum.goTo({ name: 'home', slug: null });
+        const index = museum.bubbleManager.bubbles.findIndex(bubble => bubble.data === step.stop.item);
+        museum.bubbleManager.revealBubble(index);
+        museum.cameraController.focusOn(index);
+        break;
+      }
+
+      case 'panel':
+        museum.goTo({ name: 'portfolio', slug: slug });
+        break;
+
+      case 'hall':
+        museum.goTo({ name: 'hall', slug: slug });
+        break;
+
+      case 'card':
+        museum.detailView.focusCard(step.card.id);
+        break;
+    }
+  }
+
+  /**
+   * Cancel the pending step
+   */
+  clearStepTimeout() {
+    if (this.stepTimeout) {
+      clearTimeout(this.stepTimeout);
+      this.stepTimeout = null;
+    }
+  }
+
+  /**
+   * Change state, (un)listen for user input and update the tour bar
+   * @param {String} state - 'idle', 'playing' or 'paused'
+   */
+  setState(state) {
+    this.state = state;
+
+    // Only a playing tour needs to notice the visitor taking over
+    const inputEvents = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+    inputEvents.forEach(type => {
+      if (state === 'playing') {
+        document.addEventListener(type, this.handleUserInput, { capture: true, passive: true });
+      } else {
+        document.removeEventListener(type, this.handleUserInput, { capture: true, passive: true });
+      }
+    });
+
+    this.render();
+
+    if (this.onStateChange) {
+      this.onStateChange(state);
+    }
+  }
+
+  /**
+   * Update the tour bar for the current state
+   */
+  render() {
+    const labels = { idle: 'Start tour', playing: 'Pause tour', paused: 'Resume tour' };
+
+    this.toggleBtn.textContent = labels[this.state];
+    this.exitBtn.hidden = this.state === 'idle';
+    this.bar.setAttribute('data-state', this.state);
+
+    if (this.state === 'idle') {
+      this.narration.textContent = '';
+    } else if (this.state === 'paused') {
+      this.narration.textContent = 'Tour paused';
+    }
+  }
+
+  /**
+   * Handle the start/pause/resume button
+   */
+  handleToggle() {
+    if (this.state === 'idle') {
+      this.start();
+    } else if (this.state === 'playing') {
+      this.pause();
+    } else {
+      this.resume();
+    }
+  }
+
+  /**
+   * Pause when the visitor interacts with anything but the tour bar
+   * @param {Event} event
+   */
+  handleUserInput(event) {
+    if (this.bar.contains(event.target)) return;
+
+    this.pause();
+  }
+
+  /**
+   * Clean up event listeners and timers
+   */
+  destroy() {
+    this.exit();
+    this.toggleBtn.removeEventListener('click', this.handleToggle);
+    this.exitBtn.removeEventListener('click', this.exit);
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GuidedTour;
+}
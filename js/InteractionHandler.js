@@ -1,17 +1,35 @@
 /**
  * InteractionHandler Class
  * Manages user interactions with bubbles including clicks, hover effects, and selection
+ *
+ * Keyboard (while focus is in the museum space):
+ * - Arrow keys turn the sphere, +/- zoom, Home resets the view
+ * - Shift + arrow keys move focus to the nearest bubble in that direction
+ * - Enter/Space select the focused bubble
+ * The camera follows focus, so a focused bubble is always turned to the front.
+ *
+ * Wing bubbles and cluster labels (elements with data-group, see
+ * BubbleManager.createGroups) are chosen the same way and reported through onGroupSelect.
  */
 class InteractionHandler {
-  constructor(bubbleManager, contentPanel) {
+  /**
+   * @param {BubbleManager} bubbleManager - Bubble state and hit testing
+   * @param {ContentPanel} contentPanel - Panel shown for the selected bubble
+   * @param {CameraController} cameraController - Optional, turns selected bubbles to the front
+   */
+  constructor(bubbleManager, contentPanel, cameraController) {
     // References to other components
     this.bubbleManager = bubbleManager;
     this.contentPanel = contentPanel;
+    this.cameraController = cameraController || null;
     
     // Track interaction state
     this.hoveredBubble = null;
     this.selectedBubble = null;
     
+    // Optional callback, called with a category name when a wing or cluster label is chosen
+    this.onGroupSelect = null;
+    
     // Get container reference
     this.container = bubbleManager.container;
     
@@ -19,9 +37,15 @@ class InteractionHandler {
     this.lastHoverCheck = 0;
     this.HOVER_THROTTLE = 16; // 16ms for 60fps
     
+    // Keyboard step sizes
+    this.KEY_ROTATE_STEP = 15; // degrees per arrow key press
+    this.KEY_ZOOM_STEP = 0.1;
+    
     // Bind methods to maintain context
     this.handleClick = this.handleClick.bind(this);
     this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
     
     // Initialize event listeners
     this.init();
@@ -37,8 +61,9 @@ class InteractionHandler {
     // Add mousemove event listener for hover effects
     this.container.addEventListener('mousemove', this.handleMouseMove);
     
-    // Add keyboard event listener for accessibility
-    this.container.addEventListener('keydown', this.handleKeyDown.bind(this));
+    // Add keyboard event listeners for accessibility
+    this.container.addEventListener('keydown', this.handleKeyDown);
+    this.container.addEventListener('focusin', this.handleFocusIn);
   }
   
   /**
@@ -46,6 +71,13 @@ class InteractionHandler {
    * @param {MouseEvent} event
    */
   handleClick(event) {
+    // Cluster labels are plain buttons above the bubbles
+    const clusterLabel = event.target.closest('.cluster-label');
+    if (clusterLabel) {
+      this.selectGroup(clusterLabel);
+      return;
+    }
+    
     // Get click coordinates
     const x = event.clientX;
     const y = event.clientY;
@@ -86,11 +118,13 @@ class InteractionHandler {
       // Remove hover class from previously hovered bubble
       if (this.hoveredBubble) {
         this.hoveredBubble.classList.remove('hovered');
+        this.bubbleManager.setBubbleFlag(this.hoveredBubble, 'isHovered', false);
       }
       
       // Apply hover CSS class to hovered bubble
       if (hoveredBubble) {
         hoveredBubble.classList.add('hovered');
+        this.bubbleManager.setBubbleFlag(hoveredBubble, 'isHovered', true);
         // Update cursor style to pointer when over bubble
         this.container.style.cursor = 'pointer';
       } else {
@@ -105,19 +139,101 @@ class InteractionHandler {
   
   /**
    * Handle keyboard events for accessibility
-   * Tab to focus bubbles, Enter/Space to select
+   * Tab to focus bubbles, Enter/Space to select, arrows/+/-/Home to move the camera
    * @param {KeyboardEvent} event
    */
   handleKeyDown(event) {
     const target = event.target;
+    const isBubble = target.classList.contains('bubble');
     
-    // Check if the target is a bubble
-    if (target.classList.contains('bubble')) {
-      // Enter or Space key to select bubble
-      if (event.key === 'Enter' || event.key === ' ') {
-        event.preventDefault(); // Prevent page scroll on Space
-        this.selectBubble(target);
-      }
+    // Leave browser and system shortcuts alone
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    // Enter or Space key to select bubble
+    if (isBubble && (event.key === 'Enter' || event.key === ' ')) {
+      event.preventDefault(); // Prevent page scroll on Space
+      this.selectBubble(target);
+      return;
+    }
+    
+    if (!this.cameraController) return;
+    
+    const directions = {
+      ArrowLeft: 'left',
+      ArrowRight: 'right',
+      ArrowUp: 'up',
+      ArrowDown: 'down'
+    };
+    const direction = directions[event.key];
+    const step = this.KEY_ROTATE_STEP;
+    
+    if (direction && event.shiftKey) {
+      // Wings aren't in the bubble list, so moving on from one starts at the front
+      this.focusNearestBubble(isBubble && target.hasAttribute('data-index') ? target : null, direction);
+    } else if (direction) {
+      // Turn the sphere the same way a drag in that direction would
+      const rotations = {
+        left: { x: 0, y: step },
+        right: { x: 0, y: -step },
+        up: { x: step, y: 0 },
+        down: { x: -step, y: 0 }
+      };
+      this.cameraController.rotateBy(rotations[direction].x, rotations[direction].y);
+    } else if (event.key === '+' || event.key === '=') {
+      this.cameraController.zoomBy(this.KEY_ZOOM_STEP);
+    } else if (event.key === '-' || event.key === '_') {
+      this.cameraController.zoomBy(-this.KEY_ZOOM_STEP);
+    } else if (event.key === 'Home') {
+      this.cameraController.resetView();
+    } else {
+      return;
+    }
+    
+    // Don't scroll the page
+    event.preventDefault();
+  }
+
+  /**
+   * Move focus to the nearest bubble in a direction
+   * Without a focused bubble, focuses the one closest to the front instead
+   * @param {HTMLElement|null} fromBubble - Currently focused bubble element
+   * @param {String} direction - 'left', 'right', 'up' or 'down'
+   */
+  focusNearestBubble(fromBubble, direction) {
+    const rotation = this.cameraController.targetRotation;
+    const nextIndex = fromBubble
+      ? this.bubbleManager.getNearestBubbleIndex(parseInt(fromBubble.getAttribute('data-index')), direction, rotation)
+      : this.bubbleManager.getFrontBubbleIndex(rotation);
+    
+    if (nextIndex === -1) return;
+    
+    // The camera follows via handleFocusIn
+    this.bubbleManager.bubbles[nextIndex].element.focus({ preventScroll: true });
+  }
+
+  /**
+   * Turn a bubble to the front when it receives focus, so keyboard users can always see it
+   * @param {FocusEvent} event
+   */
+  handleFocusIn(event) {
+    const target = event.target;
+    if (!this.cameraController) return;
+    
+    if (target.hasAttribute('data-group')) {
+      const group = this.bubbleManager.getGroup(target.getAttribute('data-group'));
+      this.cameraController.focusOnPosition(group.center);
+    } else if (target.classList.contains('bubble')) {
+      this.cameraController.focusOn(parseInt(target.getAttribute('data-index')));
+    }
+  }
+  
+  /**
+   * Choose a wing bubble or cluster label
+   * @param {HTMLElement} element - Element with a data-group attribute
+   */
+  selectGroup(element) {
+    if (this.onGroupSelect) {
+      this.onGroupSelect(element.getAttribute('data-group'));
     }
   }
   
@@ -128,15 +244,22 @@ class InteractionHandler {
   selectBubble(bubble) {
     if (!bubble) return;
     
+    if (bubble.hasAttribute('data-group')) {
+      this.selectGroup(bubble);
+      return;
+    }
+    
     // Remove selected class from previously selected bubble
     if (this.selectedBubble && this.selectedBubble !== bubble) {
       this.selectedBubble.classList.remove('selected');
       this.selectedBubble.setAttribute('aria-pressed', 'false');
+      this.bubbleManager.setBubbleFlag(this.selectedBubble, 'isSelected', false);
     }
     
     // Add selected CSS class to bubble for visual emphasis
     bubble.classList.add('selected');
     bubble.setAttribute('aria-pressed', 'true');
+    this.bubbleManager.setBubbleFlag(bubble, 'isSelected', true);
     
     // Retrieve portfolio data associated with bubble
     const bubbleIndex = parseInt(bubble.getAttribute('data-index'));
@@ -145,6 +268,14 @@ class InteractionHandler {
     const bubbleState = this.bubbleManager.bubbles[bubbleIndex];
     const portfolioData = bubbleState ? bubbleState.data : null;
     
+    // Open its wing first if it is tucked away in one (e.g. selected from search or a URL)
+    this.bubbleManager.revealBubble(bubbleIndex);
+    
+    // Bring the bubble to the front (it may be on the far side when selected by keyboard or URL)
+    if (this.cameraController && bubbleState) {
+      this.cameraController.focusOn(bubbleIndex);
+    }
+    
     // Call ContentPanel.show() with portfolio data
     if (portfolioData) {
       this.contentPanel.show(portfolioData);
@@ -162,6 +293,7 @@ class InteractionHandler {
     if (this.selectedBubble) {
       this.selectedBubble.classList.remove('selected');
       this.selectedBubble.setAttribute('aria-pressed', 'false');
+      this.bubbleManager.setBubbleFlag(this.selectedBubble, 'isSelected', false);
     }
     
     // Call ContentPanel.hide()
@@ -177,6 +309,8 @@ class InteractionHandler {
   destroy() {
     this.container.removeEventListener('click', this.handleClick);
     this.container.removeEventListener('mousemove', this.handleMouseMove);
+    this.container.removeEventListener('keydown', this.handleKeyDown);
+    this.container.removeEventListener('focusin', this.handleFocusIn);
     
     // Reset cursor
     this.container.style.cursor = 'default';
@@ -0,0 +1,411 @@
+/**
+ * Lightbox Class
+ * Full-screen viewer for the media inside Memory Hall cards
+ *
+ * Shows the original image or video without the orb's crop and color filters,
+ * with left/right navigation across a card's items, captions, zoom/pan for
+ * images and native controls for videos.
+ */
+class Lightbox {
+  constructor() {
+    // Get references to lightbox elements
+    this.lightbox = document.getElementById('lightbox');
+    this.stage = this.lightbox.querySelector('.lightbox-stage');
+    this.closeBtn = this.lightbox.querySelector('.lightbox-close');
+    this.prevBtn = this.lightbox.querySelector('.lightbox-prev');
+    this.nextBtn = this.lightbox.querySelector('.lightbox-next');
+    this.caption = this.lightbox.querySelector('.lightbox-caption');
+    this.counter = this.lightbox.querySelector('.lightbox-counter');
+
+    // Track state
+    this.isOpen = false;
+    this.items = [];
+    this.currentIndex = 0;
+    this.currentElement = null;
+
+    // Optional callbacks, called after open/close
+    this.onShow = null;
+    this.onHide = null;
+
+    // Zoom/pan state for the current image
+    this.MIN_ZOOM = 1;
+    this.MAX_ZOOM = 4;
+    this.ZOOM_STEP = 0.5;
+    this.zoom = 1;
+    this.pan = { x: 0, y: 0 };
+    this.isPanning = false;
+    this.lastPointerPos = null;
+
+    // Create live region for screen reader announcements
+    this.createLiveRegion();
+
+    // Bind methods to maintain context
+    this.close = this.close.bind(this);
+    this.next = this.next.bind(this);
+    this.previous = this.previous.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleBackdropClick = this.handleBackdropClick.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+
+    // Set up button event listeners
+    this.closeBtn.addEventListener('click', this.close);
+    this.prevBtn.addEventListener('click', this.previous);
+    this.nextBtn.addEventListener('click', this.next);
+  }
+
+  /**
+   * Create a live region for screen reader announcements
+   */
+  createLiveRegion() {
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    this.liveRegion.className = 'visually-hidden';
+    document.body.appendChild(this.liveRegion);
+  }
+
+  /**
+   * Announce message to screen readers
+   * @param {String} message - Message to announce
+   */
+  announce(message) {
+    if (this.liveRegion) {
+      this.liveRegion.textContent = message;
+      // Clear after announcement
+      setTimeout(() => {
+        this.liveRegion.textContent = '';
+      }, 1000);
+    }
+  }
+
+  /**
+   * Open the lightbox
+   * @param {Array} items - Media items ({ type: 'image'|'video', src, alt, caption })
+   * @param {Number} startIndex - Index of the item to show first
+   */
+  open(items, startIndex = 0) {
+    if (!items || items.length === 0) return;
+
+    // Store the element that had focus before opening
+    this.previouslyFocusedElement = document.activeElement;
+
+    this.items = items;
+    this.isOpen = true;
+
+    // Hide navigation when there is nothing to navigate to
+    const hasMultiple = items.length > 1;
+    this.prevBtn.hidden = !hasMultiple;
+    this.nextBtn.hidden = !hasMultiple;
+
+    this.showItem(Math.min(Math.max(startIndex, 0), items.length - 1));
+
+    this.lightbox.classList.add('active');
+    this.lightbox.setAttribute('aria-hidden', 'false');
+
+    // Listen for keyboard, zoom and pan while open
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    this.lightbox.addEventListener('click', this.handleBackdropClick);
+    this.stage.addEventListener('wheel', this.handleWheel, { passive: false });
+    this.stage.addEventListener('dblclick', this.handleDoubleClick);
+    this.stage.addEventListener('pointerdown', this.handlePointerDown);
+    window.addEventListener('pointermove', this.handlePointerMove);
+    window.addEventListener('pointerup', this.handlePointerUp);
+
+    // Focus the close button for accessibility
+    this.closeBtn.focus();
+
+    if (this.onShow) {
+      this.onShow();
+    }
+  }
+
+  /**
+   * Close the lightbox
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.isPanning = false;
+
+    this.lightbox.classList.remove('active');
+    this.lightbox.setAttribute('aria-hidden', 'true');
+
+    // Stop any playing video and release the media
+    this.clearStage();
+    this.items = [];
+
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    this.lightbox.removeEventListener('click', this.handleBackdropClick);
+    this.stage.removeEventListener('wheel', this.handleWheel);
+    this.stage.removeEventListener('dblclick', this.handleDoubleClick);
+    this.stage.removeEventListener('pointerdown', this.handlePointerDown);
+    window.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+
+    this.announce('Closed media viewer');
+
+    // Return focus to the card that opened the lightbox
+    if (this.previouslyFocusedElement && this.previouslyFocusedElement.focus) {
+      this.previouslyFocusedElement.focus();
+    }
+
+    if (this.onHide) {
+      this.onHide();
+    }
+  }
+
+  /**
+   * Show the next item (wraps around)
+   */
+  next() {
+    if (this.items.length < 2) return;
+    this.showItem((this.currentIndex + 1) % this.items.length);
+  }
+
+  /**
+   * Show the previous item (wraps around)
+   */
+  previous() {
+    if (this.items.length < 2) return;
+    this.showItem((this.currentIndex - 1 + this.items.length) % this.items.length);
+  }
+
+  /**
+   * Remove the current media element from the stage
+   */
+  clearStage() {
+    if (this.currentElement && this.currentElement.tagName === 'VIDEO') {
+      this.currentElement.pause();
+    }
+    this.stage.innerHTML = '';
+    this.currentElement = null;
+  }
+
+  /**
+   * Render an item in the stage
+   * @param {Number} index - Item index
+   */
+  showItem(index) {
+    const item = this.items[index];
+    this.currentIndex = index;
+
+    this.clearStage();
+    this.resetZoom();
+
+    let element;
+
+    if (item.type === 'video') {
+      element = document.createElement('video');
+      element.controls = true;
+      element.playsInline = true;
+      element.setAttribute('aria-label', item.alt || '');
+    } else {
+      element = document.createElement('img');
+      element.alt = item.alt || '';
+      element.draggable = false;
+    }
+
+    element.className = 'lightbox-media';
+    element.src = item.src;
+    this.stage.appendChild(element);
+    this.currentElement = element;
+
+    this.caption.textContent = item.caption || '';
+    this.caption.hidden = !item.caption;
+    this.counter.textContent = `${index + 1} / ${this.items.length}`;
+    this.counter.hidden = this.items.length < 2;
+
+    this.announce(`${item.caption || item.alt || 'Media'}, ${index + 1} of ${this.items.length}`);
+  }
+
+  /**
+   * Set the zoom level of the current image
+   * Videos keep their native size so their controls stay usable
+   * @param {Number} zoom - Zoom level (clamped to MIN_ZOOM..MAX_ZOOM)
+   */
+  setZoom(zoom) {
+    if (!this.currentElement || this.currentElement.tagName !== 'IMG') return;
+
+    this.zoom = Math.min(this.MAX_ZOOM, Math.max(this.MIN_ZOOM, zoom));
+
+    // Zooming back out recenters the image
+    if (this.zoom === this.MIN_ZOOM) {
+      this.pan = { x: 0, y: 0 };
+    }
+
+    this.applyTransform();
+  }
+
+  /**
+   * Reset zoom and pan
+   */
+  resetZoom() {
+    this.zoom = this.MIN_ZOOM;
+    this.pan = { x: 0, y: 0 };
+    this.applyTransform();
+  }
+
+  /**
+   * Apply zoom/pan to the current image
+   */
+  applyTransform() {
+    this.stage.classList.toggle('zoomed', this.zoom > this.MIN_ZOOM);
+
+    if (this.currentElement) {
+      this.currentElement.style.transform =
+        `translate(${this.pan.x}px, ${this.pan.y}px) scale(${this.zoom})`;
+    }
+  }
+
+  /**
+   * Handle keyboard navigation, zoom and focus trapping
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    if (!this.isOpen) return;
+
+    // The lightbox is modal: keys never reach the hall's own listeners
+    // (this listener runs in the capture phase, before theirs)
+    event.stopPropagation();
+
+    switch (event.key) {
+      case 'Escape':
+        this.close();
+        break;
+      case 'ArrowLeft':
+        this.previous();
+        break;
+      case 'ArrowRight':
+        this.next();
+        break;
+      case '+':
+      case '=':
+        this.setZoom(this.zoom + this.ZOOM_STEP);
+        break;
+      case '-':
+        this.setZoom(this.zoom - this.ZOOM_STEP);
+        break;
+      case '0':
+        this.resetZoom();
+        break;
+      case 'Tab':
+        this.trapFocus(event);
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Keep Tab focus inside the lightbox while it is open
+   * @param {KeyboardEvent} event
+   */
+  trapFocus(event) {
+    const focusable = Array.from(this.lightbox.querySelectorAll('button, video'))
+      .filter(element => !element.hidden);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && document.activeElement === first) {
+      last.focus();
+      event.preventDefault();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      first.focus();
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Close when clicking the dark area around the media
+   * @param {MouseEvent} event
+   */
+  handleBackdropClick(event) {
+    if (event.target === this.lightbox || event.target === this.stage) {
+      this.close();
+    }
+  }
+
+  /**
+   * Zoom the image with the mouse wheel
+   * @param {WheelEvent} event
+   */
+  handleWheel(event) {
+    if (!this.currentElement || this.currentElement.tagName !== 'IMG') return;
+
+    event.preventDefault();
+    this.setZoom(this.zoom + (event.deltaY < 0 ? this.ZOOM_STEP : -this.ZOOM_STEP));
+  }
+
+  /**
+   * Toggle between fit and 2x zoom on double click
+   */
+  handleDoubleClick() {
+    this.setZoom(this.zoom > this.MIN_ZOOM ? this.MIN_ZOOM : 2);
+  }
+
+  /**
+   * Start panning a zoomed image
+   * @param {PointerEvent} event
+   */
+  handlePointerDown(event) {
+    if (this.zoom <= this.MIN_ZOOM || event.target !== this.currentElement) return;
+
+    event.preventDefault();
+    this.isPanning = true;
+    this.lastPointerPos = { x: event.clientX, y: event.clientY };
+  }
+
+  /**
+   * Pan the zoomed image, keeping at least part of it on screen
+   * @param {PointerEvent} event
+   */
+  handlePointerMove(event) {
+    if (!this.isPanning || !this.lastPointerPos) return;
+
+    this.pan.x += event.clientX - this.lastPointerPos.x;
+    this.pan.y += event.clientY - this.lastPointerPos.y;
+    this.lastPointerPos = { x: event.clientX, y: event.clientY };
+
+    // The image can move by at most the extra size zoom added on each side
+    const rect = this.currentElement.getBoundingClientRect();
+    const maxX = (rect.width / this.zoom) * (this.zoom - 1) / 2;
+    const maxY = (rect.height / this.zoom) * (this.zoom - 1) / 2;
+    this.pan.x = Math.min(maxX, Math.max(-maxX, this.pan.x));
+    this.pan.y = Math.min(maxY, Math.max(-maxY, this.pan.y));
+
+    this.applyTransform();
+  }
+
+  /**
+   * Stop panning
+   */
+  handlePointerUp() {
+    this.isPanning = false;
+    this.lastPointerPos = null;
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    this.close();
+    this.closeBtn.removeEventListener('click', this.close);
+    this.prevBtn.removeEventListener('click', this.previous);
+    this.nextBtn.removeEventListener('click', this.next);
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Lightbox;
+}
@@ -8,6 +8,14 @@ class PortfolioMuseum {
    * @param {Object} config - Configuration object
    * @param {String|HTMLElement} config.container - CSS selector or HTMLElement for the museum container
    * @param {Array} config.data - Portfolio data array
+   * @param {String} config.manifestUrl - Portfolio manifest URL (used when no data is given)
+   * @param {DetailView} config.detailView - Optional Memory Hall view, enables #/portfolio/{slug}/hall links
+   * @param {Object|Boolean} config.idle - Idle attract mode settings ({ orbitDelay, resetDelay, orbitSpeed }), or false to disable
+   * @param {String|Object} config.layout - Bubble layout name, or { name, ...options } (see BUBBLE_LAYOUTS), defaults to 'sphere' ('clusters' when grouping)
+   * @param {String} config.grouping - 'clusters' or 'wings' to group exhibitors by category (see BubbleManager.GROUPINGS)
+   * @param {Number|String} config.seed - Seed for generated layouts and colors (a ?seed= URL parameter overrides it)
+   * @param {Object|Boolean} config.gamepad - Gamepad settings (GamepadInput options plus rotateSpeed, zoomSpeed per second), or false to disable;
+   *   the detail view's GamepadInput is reused when it has one
    */
   constructor(config) {
     // Validate configuration
@@ -19,8 +27,8 @@ class PortfolioMuseum {
       throw new Error('PortfolioMuseum requires a container in config');
     }
     
-    if (!config.data) {
-      throw new Error('PortfolioMuseum requires portfolio data in config');
+    if (!config.data && !config.manifestUrl) {
+      throw new Error('PortfolioMuseum requires portfolio data or a manifestUrl in config');
     }
     
     // Get container element (support both selector string and HTMLElement)
@@ -35,11 +43,6 @@ class PortfolioMuseum {
       throw new Error('Container must be a CSS selector string or HTMLElement');
     }
     
-    // Validate portfolio data
-    if (!Array.isArray(config.data) || config.data.length === 0) {
-      throw new Error('Portfolio data must be a non-empty array');
-    }
-    
     // Detect device capabilities
     this.deviceInfo = typeof detectDeviceCapabilities === 'function' 
       ? detectDeviceCapabilities() 
@@ -50,22 +53,83 @@ class PortfolioMuseum {
       applyPerformanceOptimizations(this.container, this.deviceInfo);
     }
     
-    // Optimize portfolio data for device
-    const optimalCount = typeof getOptimalBubbleCount === 'function'
-      ? getOptimalBubbleCount(config.data.length, this.deviceInfo)
-      : config.data.length;
+    // Category grouping - clusters or wings need their members kept together
+    if (config.grouping && !BubbleManager.GROUPINGS.includes(config.grouping)) {
+      throw new Error(`Unknown grouping "${config.grouping}" (expected one of: ${BubbleManager.GROUPINGS.join(', ')})`);
+    }
+    this.grouping = config.grouping || null;
+    this.GROUP_ZOOM = 1.3; // Zoom level when looking into a group
     
-    // Store portfolio data (limit to optimal count)
-    this.portfolioData = config.data.slice(0, optimalCount);
+    // Bubble layout - checked now so an unknown name fails with the other config errors
+    this.layout = config.layout || (this.grouping ? 'clusters' : 'sphere');
+    getBubbleLayoutConfig(this.layout);
+    
+    // Seed for everything random in the scene, so reloads look the same
+    this.seed = getSceneSeed(config.seed);
+    
+    // Manifest to fetch in init() when data is not provided up front
+    this.manifestUrl = config.manifestUrl || null;
+    this.portfolioData = null;
+    
+    if (config.data) {
+      this.setPortfolioData(config.data);
+    }
+    
+    // Memory Hall view (owned by the page, shared with the museum)
+    this.detailView = config.detailView || null;
     
     // Component instances (initialized in init())
     this.bubbleManager = null;
     this.cameraController = null;
     this.contentPanel = null;
     this.interactionHandler = null;
+    this.router = null;
+    this.searchBox = null;
+    this.bestMatch = null;
+    
+    // Breadcrumb back out of a group (initialized in init() if the page has one)
+    this.breadcrumb = null;
+    this.breadcrumbRoot = null;
+    this.breadcrumbCurrent = null;
+    this.closeGroup = this.closeGroup.bind(this);
+    
+    // Pending panel -> hall transition
+    this.hallTimeout = null;
+    
+    // Idle attract mode: slowly orbit after a while without input, then close
+    // everything and hand back to the welcome screen (see onIdleReset/onIdleWake)
+    this.idleConfig = config.idle === false ? null : Object.assign({
+      orbitDelay: 30000,   // ms without input before the sphere starts orbiting
+      resetDelay: 120000,  // ms without input before returning to the start
+      orbitSpeed: 4        // degrees per second
+    }, config.idle);
+    this.lastActivity = 0;
+    this.isIdleOrbiting = false;
+    this.isIdleReset = false;
+    this.isIdleSuspended = false;
+    
+    // Optional callbacks for the page's welcome screen
+    this.onIdleReset = null; // Called once the museum has returned to its start state
+    this.onIdleWake = null;  // Called on the first input after an idle reset
+    
+    this.handleActivity = this.handleActivity.bind(this);
+    
+    // Kiosk controller, polled every frame in animate() - the hall's instance
+    // when it has one, so each press is only seen once
+    this.gamepadConfig = Object.assign({
+      rotateSpeed: 120, // Degrees per second at full stick deflection
+      zoomSpeed: 1.2    // Zoom change per second at full deflection
+    }, config.gamepad);
+    if (config.gamepad === false) {
+      this.gamepad = null;
+    } else if (this.detailView && this.detailView.gamepad) {
+      this.gamepad = this.detailView.gamepad;
+    } else {
+      this.gamepad = typeof GamepadInput === 'function' ? new GamepadInput(this.gamepadConfig) : null;
+    }
     
     // Animation loop variables
-    this.lastFrame = 0;
+    this.lastFrame = null;
     this.animationFrameId = null;
     this.isRunning = false;
     
@@ -75,36 +139,537 @@ class PortfolioMuseum {
     
     // Bind animate method to maintain context
     this.animate = this.animate.bind(this);
+    this.applyRoute = this.applyRoute.bind(this);
+  }
+
+  /**
+   * Store portfolio data, limited to the optimal bubble count for the device
+   * @param {Array} data - Portfolio data array
+   */
+  setPortfolioData(data) {
+    // Validate portfolio data
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new Error('Portfolio data must be a non-empty array');
+    }
+    
+    // Optimize portfolio data for device
+    const optimalCount = typeof getOptimalBubbleCount === 'function'
+      ? getOptimalBubbleCount(data.length, this.deviceInfo)
+      : data.length;
+    
+    // Store portfolio data (limit to optimal count)
+    this.portfolioData = data.slice(0, optimalCount);
+  }
+
+  /**
+   * Fetch and validate the portfolio manifest
+   * Shows a loading state while it resolves. On failure an error state with a
+   * retry button is shown, and the promise stays pending until a retry succeeds.
+   * @returns {Promise<Array>} Resolves with the stored portfolio data
+   */
+  loadManifest() {
+    showMuseumStatus(this.container, 'loading', 'Loading portfolios...');
+    
+    return loadPortfolioManifest(this.manifestUrl)
+      .then(data => {
+        this.setPortfolioData(data);
+        clearMuseumStatus(this.container);
+        return this.portfolioData;
+      })
+      .catch(error => {
+        console.error('Failed to load portfolio manifest:', error);
+        return new Promise(resolve => {
+          showMuseumStatus(this.container, 'error', error.message, () => {
+            resolve(this.loadManifest());
+          });
+        });
+      });
   }
 
   /**
    * Initialize the Portfolio Museum
-   * Sets up all components and starts the animation loop
+   * Loads the manifest if needed, then sets up all components and starts the animation loop
+   * @returns {Promise<PortfolioMuseum>} Resolves once the museum is running
    */
   init() {
+    if (this.isRunning) {
+      return Promise.resolve(this);
+    }
+    
+    if (!this.portfolioData) {
+      return this.loadManifest().then(() => this.init());
+    }
+    
     // Instantiate BubbleManager with container and data
-    this.bubbleManager = new BubbleManager(this.container, this.portfolioData);
+    this.bubbleManager = new BubbleManager(this.container, this.portfolioData, {
+      layout: this.layout,
+      seed: this.seed,
+      grouping: this.grouping,
+      viewRotation: CameraController.DEFAULT_ROTATION
+    });
     
     // Call BubbleManager.createBubbles() to generate initial bubbles
     this.bubbleManager.createBubbles();
     
-    // Instantiate CameraController with container
-    this.cameraController = new CameraController(this.container);
+    // Instantiate CameraController with container (and bubbles, for fly-to focusing)
+    this.cameraController = new CameraController(this.container, this.bubbleManager);
     
     // Instantiate ContentPanel
     this.contentPanel = new ContentPanel();
     
-    // Instantiate InteractionHandler with BubbleManager and ContentPanel
-    this.interactionHandler = new InteractionHandler(this.bubbleManager, this.contentPanel);
+    // Instantiate InteractionHandler with BubbleManager, ContentPanel and CameraController
+    this.interactionHandler = new InteractionHandler(this.bubbleManager, this.contentPanel, this.cameraController);
+    
+    // Zoom into categories, with a breadcrumb back out
+    this.interactionHandler.onGroupSelect = (name) => this.openGroup(name);
+    this.bubbleManager.onGroupChange = (group) => this.updateBreadcrumb(group);
+    this.breadcrumb = document.getElementById('museum-breadcrumb');
+    if (this.breadcrumb) {
+      this.breadcrumbRoot = this.breadcrumb.querySelector('.breadcrumb-root');
+      this.breadcrumbCurrent = this.breadcrumb.querySelector('.breadcrumb-current');
+      this.breadcrumbRoot.addEventListener('click', this.closeGroup);
+    }
+    
+    // Keep the URL in sync with the panel and hall, and follow back/forward
+    if (typeof Router === 'function') {
+      this.router = new Router(this.applyRoute);
+      this.setupRouting();
+    }
+    
+    // Filter bubbles from the search box, if the page has one
+    if (typeof SearchBox === 'function' && document.getElementById('museum-search')) {
+      this.searchBox = new SearchBox(
+        query => this.search(query),
+        () => this.openBestMatch()
+      );
+    }
     
     // Set up resize handler for responsive updates
     window.addEventListener('resize', this.handleResize);
     
+    // Watch for input anywhere on the page to drive the idle attract mode
+    if (this.idleConfig) {
+      this.lastActivity = performance.now();
+      PortfolioMuseum.IDLE_EVENTS.forEach(type => {
+        document.addEventListener(type, this.handleActivity, { capture: true, passive: true });
+      });
+    }
+    
     // Set running flag
     this.isRunning = true;
     
     // Start animation loop by calling animate()
-    this.animate(0);
+    this.animate(performance.now());
+    
+    // Open whatever the URL deep links to
+    if (this.router) {
+      this.applyRoute(this.router.getCurrentRoute());
+    }
+    
+    return Promise.resolve(this);
+  }
+
+  /**
+   * Connect the content panel and detail view to the router
+   * Opening a view pushes its route; closing one from the UI returns to the parent route
+   */
+  setupRouting() {
+    this.contentPanel.onShow = (data) => {
+      const route = { name: 'portfolio', slug: Router.slugFor(data) };
+      const current = this.router.getCurrentRoute();
+      // Switching between portfolios replaces the entry instead of stacking them
+      this.router.navigate(route, { replace: current.name === 'portfolio' });
+    };
+    
+    this.contentPanel.onHide = (data) => {
+      const current = this.router.getCurrentRoute();
+      if (data && current.name === 'portfolio' && current.slug === Router.slugFor(data)) {
+        this.router.back({ name: 'home', slug: null });
+      }
+    };
+    
+    if (!this.detailView) return;
+    
+    this.detailView.onShow = (data) => {
+      this.router.navigate({ name: 'hall', slug: Router.slugFor(data) });
+    };
+    
+    this.detailView.onHide = (data) => {
+      const current = this.router.getCurrentRoute();
+      if (data && current.name === 'hall' && current.slug === Router.slugFor(data)) {
+        this.router.back({ name: 'portfolio', slug: current.slug });
+      }
+    };
+  }
+
+  /**
+   * Filter the bubbles by a search query and turn the camera to the best match
+   * @param {String} query - Search query (empty clears the filter)
+   * @returns {Number} Number of matching bubbles
+   */
+  search(query) {
+    const result = this.bubbleManager.filterBubbles(query);
+    this.bestMatch = result.bestMatch;
+    
+    if (result.bestMatch && this.bubbleManager.isCollapsed(result.bestMatch)) {
+      // Still inside its wing, so turn to the wing instead
+      this.cameraController.focusOnPosition(result.bestMatch.group.center);
+    } else if (result.bestMatch) {
+      this.cameraController.focusOn(this.bubbleManager.bubbles.indexOf(result.bestMatch));
+    }
+    
+    return result.matchCount;
+  }
+
+  /**
+   * Rearrange the bubbles with another layout, animating them into place
+   * @param {String|Object} layout - Layout name, or { name, ...options } (see BUBBLE_LAYOUTS)
+   * @throws {Error} If the layout is unknown
+   */
+  setLayout(layout) {
+    getBubbleLayoutConfig(layout);
+    this.layout = layout;
+    
+    if (this.bubbleManager) {
+      this.bubbleManager.setLayout(layout);
+      // Layouts differ in shape, so start again from the default view
+      this.cameraController.resetView();
+    }
+  }
+
+  /**
+   * Zoom into a category: opens its wing or flies to its cluster
+   * Closes the content panel if it shows an exhibitor from another category
+   * @param {String} name - Category name
+   */
+  openGroup(name) {
+    const group = this.bubbleManager.expandGroup(name);
+    if (!group) return;
+    
+    const panelData = this.contentPanel.isOpen ? this.contentPanel.currentData : null;
+    if (panelData && !group.members.some(bubble => bubble.data === panelData)) {
+      this.interactionHandler.deselectBubble();
+    }
+    
+    this.cameraController.focusOnPosition(group.center, { zoom: this.GROUP_ZOOM });
+    
+    // The wing bubble can't keep focus once open, so hand it to the first exhibitor inside
+    if (document.activeElement === group.element && this.grouping === 'wings') {
+      group.members[0].element.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Leave the current category and return to the view of all of them
+   */
+  closeGroup() {
+    const group = this.bubbleManager.expandedGroup;
+    if (!group) return;
+    
+    this.interactionHandler.deselectBubble();
+    this.bubbleManager.expandGroup(null);
+    this.cameraController.resetView();
+    
+    // Keep keyboard focus somewhere sensible rather than on the now hidden breadcrumb
+    if (this.breadcrumb && this.breadcrumb.contains(document.activeElement)) {
+      group.element.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Show the current category in the breadcrumb, or hide it at the top level
+   * @param {Object|null} group - Expanded group
+   */
+  updateBreadcrumb(group) {
+    if (!this.breadcrumb) return;
+    
+    this.breadcrumb.hidden = !group;
+    this.breadcrumbCurrent.textContent = group ? group.name : '';
+  }
+
+  /**
+   * Open the content panel for the best search match
+   */
+  openBestMatch() {
+    if (this.bestMatch) {
+      this.interactionHandler.selectBubble(this.bestMatch.element);
+    }
+  }
+
+  /**
+   * Find a portfolio item by its URL slug
+   * @param {String} slug - Folder name or id
+   * @returns {Object|null} Portfolio item data
+   */
+  findPortfolio(slug) {
+    return this.portfolioData.find(item => Router.slugFor(item) === slug) || null;
+  }
+
+  /**
+   * Show the content panel for a portfolio by selecting its bubble
+   * @param {Object} data - Portfolio item data
+   * @returns {Boolean} True if the portfolio has a bubble to select
+   */
+  openPortfolio(data) {
+    const bubble = this.bubbleManager.bubbles.find(state => state.data === data);
+    if (!bubble) return false;
+    
+    this.interactionHandler.selectBubble(bubble.element);
+    return true;
+  }
+
+  /**
+   * Open the Memory Hall for a portfolio, closing the content panel first
+   * @param {Object} data - Portfolio item data
+   */
+  openHall(data) {
+    if (!this.detailView || !data) return;
+    
+    if (this.hallTimeout) {
+      clearTimeout(this.hallTimeout);
+      this.hallTimeout = null;
+    }
+    
+    // Point the URL at the hall first so closing the panel doesn't pop the route
+    if (this.router) {
+      this.router.navigate({ name: 'hall', slug: Router.slugFor(data) });
+    }
+    
+    if (this.detailView.isOpen && this.detailView.currentData !== data) {
+      this.detailView.hide();
+    }
+    
+    if (this.contentPanel.isOpen) {
+      // Close content panel, then show detail view once it has slid out
+      this.contentPanel.hide();
+      this.hallTimeout = setTimeout(() => {
+        this.hallTimeout = null;
+        this.detailView.show(data);
+      }, 400);
+    } else if (!this.detailView.isOpen) {
+      this.detailView.show(data);
+    }
+  }
+
+  /**
+   * Show a route, replacing the current history entry
+   * Used for automated navigation (e.g. the guided tour) that shouldn't fill up the back stack
+   * @param {Object} route - Route to show
+   */
+  goTo(route) {
+    if (this.router) {
+      this.router.navigate(route, { replace: true });
+    }
+    this.applyRoute(route);
+  }
+
+  /**
+   * Bring the panel and hall in line with a route
+   * Called on load and on back/forward navigation
+   * @param {Object} route - Route from Router.parse()
+   */
+  applyRoute(route) {
+    if (!this.isRunning) return;
+    
+    const data = route.slug ? this.findPortfolio(route.slug) : null;
+    
+    if (route.slug && !data) {
+      console.warn(`No portfolio found for "${route.slug}", returning to the museum`);
+      this.router.navigate({ name: 'home', slug: null }, { replace: true });
+      route = { name: 'home', slug: null };
+    }
+    
+    if (route.name === 'hall' && this.detailView) {
+      this.openHall(data);
+      return;
+    }
+    
+    // Any other route closes the hall
+    if (this.hallTimeout) {
+      clearTimeout(this.hallTimeout);
+      this.hallTimeout = null;
+    }
+    if (this.detailView && this.detailView.isOpen) {
+      this.detailView.hide();
+    }
+    
+    if (route.name === 'portfolio' || route.name === 'hall') {
+      const isShowing = this.contentPanel.isOpen && this.contentPanel.currentData === data;
+      if (!isShowing && !this.openPortfolio(data)) {
+        console.warn(`Portfolio "${route.slug}" is not shown on this device, returning to the museum`);
+        this.router.navigate({ name: 'home', slug: null }, { replace: true });
+        this.interactionHandler.deselectBubble();
+      }
+    } else if (this.interactionHandler.selectedBubble || this.contentPanel.isOpen) {
+      this.interactionHandler.deselectBubble();
+    }
+  }
+
+  /**
+   * Record user input, cancelling the idle orbit and waking from an idle reset
+   * The camera keeps its current target when the orbit stops, so it settles smoothly
+   */
+  handleActivity() {
+    this.lastActivity = performance.now();
+    this.isIdleOrbiting = false;
+    
+    if (this.isIdleReset) {
+      this.isIdleReset = false;
+      if (this.onIdleWake) {
+        this.onIdleWake();
+      }
+    }
+  }
+
+  /**
+   * Keep the idle attract mode from starting (e.g. while a guided tour is playing)
+   * @param {Boolean} suspended - True to suspend, false to start counting again
+   */
+  suspendIdle(suspended) {
+    this.isIdleSuspended = suspended;
+    this.handleActivity();
+  }
+
+  /**
+   * Advance the idle attract mode
+   * @param {Number} timestamp - Current frame timestamp
+   * @param {Number} deltaTime - Time since the previous frame in ms
+   */
+  updateIdle(timestamp, deltaTime) {
+    if (!this.idleConfig || this.isIdleSuspended) return;
+    
+    const idleTime = timestamp - this.lastActivity;
+    
+    if (!this.isIdleReset && idleTime >= this.idleConfig.resetDelay) {
+      this.resetForIdle();
+    }
+    
+    // Reduced motion keeps the sphere still, but still resets
+    if (!this.isIdleOrbiting && idleTime >= this.idleConfig.orbitDelay && !this.deviceInfo.prefersReducedMotion) {
+      this.isIdleOrbiting = true;
+    }
+    
+    if (this.isIdleOrbiting) {
+      this.cameraController.targetRotation.y += this.idleConfig.orbitSpeed * deltaTime / 1000;
+    }
+  }
+
+  /**
+   * Close the panel, hall and search after a long idle period
+   */
+  resetForIdle() {
+    this.isIdleReset = true;
+    
+    this.goTo({ name: 'home', slug: null });
+    this.closeGroup();
+    
+    if (this.searchBox) {
+      this.searchBox.clear();
+    }
+    
+    if (this.onIdleReset) {
+      this.onIdleReset();
+    }
+  }
+
+  /**
+   * Drive the sphere from the gamepad
+   * Left stick turns the sphere, right stick or triggers zoom, A selects the focused
+   * bubble (or opens the hall from the panel), Y opens the hall, B closes the panel
+   * and the shoulders/d-pad cycle focus
+   * @param {Number} deltaTime - Time since the previous frame in ms
+   */
+  updateGamepad(deltaTime) {
+    // The hall polls the shared gamepad itself while it is open; reading its
+    // last state still counts as activity without taking its presses
+    const isHallActive = Boolean(this.detailView && (this.detailView.isOpen || this.hallTimeout));
+    const state = isHallActive ? this.gamepad.state : this.gamepad.poll();
+    if (!state || !state.active) return;
+    
+    this.handleActivity();
+    
+    if (isHallActive) return;
+    
+    const { move, look, held, pressed } = state;
+    const seconds = deltaTime / 1000;
+    const rotateSpeed = this.gamepadConfig.rotateSpeed * seconds;
+    const zoomSpeed = this.gamepadConfig.zoomSpeed * seconds;
+    
+    if (move.x !== 0 || move.y !== 0) {
+      // Same directions as the arrow keys
+      this.cameraController.rotateBy(-move.y * rotateSpeed, -move.x * rotateSpeed);
+    }
+    
+    const zoom = -look.y + (held.zoomIn ? 1 : 0) - (held.zoomOut ? 1 : 0);
+    if (zoom !== 0) {
+      this.cameraController.zoomBy(zoom * zoomSpeed);
+    }
+    
+    const panelData = this.contentPanel.isOpen ? this.contentPanel.currentData : null;
+    
+    if (pressed.back && panelData) {
+      this.interactionHandler.deselectBubble();
+    } else if (pressed.openHall || (pressed.select && panelData)) {
+      const focused = this.getFocusedBubble();
+      this.openHall(panelData || (focused && focused.data));
+    } else if (pressed.select) {
+      const wing = this.getFocusedGroup();
+      if (wing) {
+        this.openGroup(wing.name);
+        return;
+      }
+      
+      const bubble = this.getFocusedBubble() ||
+        this.bubbleManager.bubbles[this.bubbleManager.getFrontBubbleIndex(this.cameraController.targetRotation)];
+      if (bubble) {
+        this.interactionHandler.selectBubble(bubble.element);
+      }
+    } else if ((pressed.next || pressed.previous) && !panelData) {
+      this.cycleFocus(pressed.next ? 1 : -1);
+    }
+  }
+
+  /**
+   * Get the bubble that has keyboard focus
+   * @returns {Object|null} Bubble state
+   */
+  getFocusedBubble() {
+    const active = document.activeElement;
+    return this.bubbleManager.bubbles.find(bubble => bubble.element === active) || null;
+  }
+
+  /**
+   * Get the wing bubble or cluster label that has keyboard focus
+   * @returns {Object|null} Group
+   */
+  getFocusedGroup() {
+    const active = document.activeElement;
+    return this.bubbleManager.groups.find(group => group.element === active) || null;
+  }
+
+  /**
+   * Move focus to the next or previous bubble that isn't filtered out or inside a closed wing
+   * (closed wings take their members' place in the cycle)
+   * Starts from the bubble at the front when none has focus; the camera follows focus
+   * @param {Number} step - 1 for the next bubble, -1 for the previous one
+   */
+  cycleFocus(step) {
+    const manager = this.bubbleManager;
+    const bubbles = manager.bubbles.filter(bubble => manager.isAvailable(bubble));
+    if (manager.grouping === 'wings') {
+      bubbles.push(...manager.groups.filter(group => !group.isFilteredOut && group !== manager.expandedGroup));
+    }
+    if (bubbles.length === 0) return;
+    
+    const current = bubbles.indexOf(this.getFocusedBubble() || this.getFocusedGroup());
+    let next;
+    if (current === -1) {
+      next = manager.bubbles[manager.getFrontBubbleIndex(this.cameraController.targetRotation)] || bubbles[0];
+    } else {
+      next = bubbles[(current + step + bubbles.length) % bubbles.length];
+    }
+    
+    next.element.focus({ preventScroll: true });
   }
 
   /**
@@ -127,12 +692,18 @@ class PortfolioMuseum {
           applyPerformanceOptimizations(this.container, this.deviceInfo);
         }
       }
+      
+      // Bubble size and perspective follow the viewport, so hit-testing must too
+      if (this.bubbleManager) {
+        this.bubbleManager.measureViewport();
+      }
     }, 250);
   }
 
   /**
    * Main animation loop using requestAnimationFrame
-   * Throttles updates to 60fps (16.67ms minimum)
+   * Runs at the display's refresh rate; everything that moves is scaled by the
+   * time since the previous frame
    * @param {Number} timestamp - Current timestamp from requestAnimationFrame
    */
   animate(timestamp) {
@@ -141,14 +712,16 @@ class PortfolioMuseum {
       return;
     }
     
-    // Check timestamp delta to throttle to 60fps (16.67ms minimum)
-    const deltaTime = timestamp - this.lastFrame;
-    if (deltaTime < 16.67) {
-      // Schedule next frame without updating
-      this.animationFrameId = requestAnimationFrame(this.animate);
-      return;
+    const deltaTime = getFrameDelta(timestamp, this.lastFrame);
+    
+    // Read the kiosk controller (sticks have no events, so poll every frame)
+    if (this.gamepad) {
+      this.updateGamepad(deltaTime);
     }
     
+    // Orbit or reset when nobody is using the museum
+    this.updateIdle(timestamp, deltaTime);
+    
     // Call CameraController.update() to get current camera state
     const cameraState = this.cameraController.update();
     
@@ -179,6 +752,21 @@ class PortfolioMuseum {
     // Remove resize handler
     window.removeEventListener('resize', this.handleResize);
     
+    // Stop watching for idle input
+    PortfolioMuseum.IDLE_EVENTS.forEach(type => {
+      document.removeEventListener(type, this.handleActivity, { capture: true, passive: true });
+    });
+    
+    // Stop following the URL
+    if (this.router) {
+      this.router.destroy();
+    }
+    
+    if (this.hallTimeout) {
+      clearTimeout(this.hallTimeout);
+      this.hallTimeout = null;
+    }
+    
     // Clear resize timeout
     if (this.resizeTimeout) {
       clearTimeout(this.resizeTimeout);
@@ -198,9 +786,18 @@ class PortfolioMuseum {
       this.contentPanel.destroy();
     }
     
-    // Remove bubble elements from DOM
+    if (this.searchBox) {
+      this.searchBox.destroy();
+    }
+    
+    if (this.breadcrumb) {
+      this.breadcrumbRoot.removeEventListener('click', this.closeGroup);
+      this.breadcrumb.hidden = true;
+    }
+    
+    // Remove bubble, wing and cluster label elements from DOM
     if (this.bubbleManager && this.bubbleManager.bubbles) {
-      this.bubbleManager.bubbles.forEach(bubble => {
+      this.bubbleManager.bubbles.concat(this.bubbleManager.groups).forEach(bubble => {
         if (bubble.element && bubble.element.parentNode) {
           bubble.element.parentNode.removeChild(bubble.element);
         }
@@ -212,9 +809,16 @@ class PortfolioMuseum {
     this.cameraController = null;
     this.contentPanel = null;
     this.interactionHandler = null;
+    this.router = null;
+    this.searchBox = null;
+    this.bestMatch = null;
+    this.breadcrumb = null;
   }
 }
 
+// Input events that count as activity for the idle attract mode
+PortfolioMuseum.IDLE_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = PortfolioMuseum;
@@ -0,0 +1,145 @@
+/**
+ * Router Class
+ * Hash-based deep links for bubbles and Memory Halls using the History API
+ *
+ * Routes:
+ * - #/                       Museum (no panel open)
+ * - #/portfolio/{slug}       Content panel for a portfolio
+ * - #/portfolio/{slug}/hall  Memory Hall (DetailView) for a portfolio
+ *
+ * The slug is the portfolio folder name, falling back to its id.
+ */
+class Router {
+  /**
+   * @param {Function} onRouteChange - Called with the new route on back/forward or manual URL edits
+   */
+  constructor(onRouteChange) {
+    this.onRouteChange = onRouteChange;
+
+    // Bind methods to maintain context
+    this.handlePopState = this.handlePopState.bind(this);
+
+    window.addEventListener('popstate', this.handlePopState);
+  }
+
+  /**
+   * Get the URL slug for a portfolio item
+   * @param {Object} item - Portfolio item data
+   * @returns {String} Slug used in #/portfolio/{slug}
+   */
+  static slugFor(item) {
+    return String(item.folder || item.id);
+  }
+
+  /**
+   * Parse a location hash into a route object
+   * @param {String} hash - Location hash (e.g. "#/portfolio/juan/hall")
+   * @returns {Object} Route with name ('home', 'portfolio' or 'hall') and slug
+   */
+  static parse(hash) {
+    const parts = (hash || '')
+      .replace(/^#\/?/, '')
+      .split('/')
+      .filter(part => part !== '')
+      .map(part => decodeURIComponent(part));
+
+    if (parts[0] === 'portfolio' && parts[1]) {
+      if (parts.length === 2) {
+        return { name: 'portfolio', slug: parts[1] };
+      }
+      if (parts.length === 3 && parts[2] === 'hall') {
+        return { name: 'hall', slug: parts[1] };
+      }
+    }
+
+    return { name: 'home', slug: null };
+  }
+
+  /**
+   * Format a route object as a location hash
+   * @param {Object} route - Route object
+   * @returns {String} Location hash
+   */
+  static format(route) {
+    if (route.name === 'portfolio') {
+      return `#/portfolio/${encodeURIComponent(route.slug)}`;
+    }
+    if (route.name === 'hall') {
+      return `#/portfolio/${encodeURIComponent(route.slug)}/hall`;
+    }
+    return '#/';
+  }
+
+  /**
+   * Check if two routes point at the same view
+   * @param {Object} a - Route object
+   * @param {Object} b - Route object
+   * @returns {Boolean} True if equal
+   */
+  static equals(a, b) {
+    return a.name === b.name && a.slug === b.slug;
+  }
+
+  /**
+   * Get the route for the current URL
+   * @returns {Object} Route object
+   */
+  getCurrentRoute() {
+    return Router.parse(window.location.hash);
+  }
+
+  /**
+   * Navigate to a route without notifying onRouteChange
+   * Used when the UI already shows the route and only the URL needs to follow
+   * @param {Object} route - Route to navigate to
+   * @param {Object} options - { replace: true } to replace the current history entry
+   */
+  navigate(route, options = {}) {
+    if (Router.equals(route, this.getCurrentRoute())) return;
+
+    const hash = Router.format(route);
+
+    if (options.replace) {
+      // Keep the "pushed" flag so back() still knows whether an entry exists behind us
+      history.replaceState(history.state, '', hash);
+    } else {
+      history.pushState({ museumRoute: true }, '', hash);
+    }
+  }
+
+  /**
+   * Leave the current route for its parent
+   * Goes back in history when the current entry was pushed by the app, so
+   * back/forward stay in sync; otherwise (e.g. opened from a shared link)
+   * replaces the entry and notifies onRouteChange directly
+   * @param {Object} parentRoute - Route to end up on
+   */
+  back(parentRoute) {
+    if (history.state && history.state.museumRoute) {
+      history.back();
+      return;
+    }
+
+    history.replaceState(null, '', Router.format(parentRoute));
+    this.onRouteChange(parentRoute);
+  }
+
+  /**
+   * Handle back/forward navigation and manual URL edits
+   */
+  handlePopState() {
+    this.onRouteChange(this.getCurrentRoute());
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    window.removeEventListener('popstate', this.handlePopState);
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Router;
+}
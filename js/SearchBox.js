@@ -0,0 +1,139 @@
+/**
+ * SearchBox Class
+ * Search field over the museum that filters exhibitors as the visitor types
+ *
+ * The filtering itself is done by the owner through callbacks, so the same box
+ * drives both the 3D bubbles and the 2D fallback grid.
+ */
+class SearchBox {
+  /**
+   * @param {Function} onSearch - Called with the query, returns the number of matches
+   * @param {Function} onSubmit - Optional, called with the query when Enter is pressed
+   */
+  constructor(onSearch, onSubmit) {
+    // Get references to search elements
+    this.form = document.getElementById('museum-search');
+    this.input = this.form.querySelector('.museum-search-input');
+    this.status = this.form.querySelector('.museum-search-status');
+
+    this.onSearch = onSearch;
+    this.onSubmit = onSubmit || null;
+
+    // Debounce typing so the filter runs once the visitor pauses
+    this.SEARCH_DELAY = 150;
+    this.searchTimeout = null;
+
+    // Bind methods to maintain context
+    this.handleInput = this.handleInput.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleSubmit = this.handleSubmit.bind(this);
+
+    // Set up event listeners
+    this.input.addEventListener('input', this.handleInput);
+    this.input.addEventListener('keydown', this.handleKeyDown);
+    this.form.addEventListener('submit', this.handleSubmit);
+
+    this.form.hidden = false;
+  }
+
+  /**
+   * Get the current query
+   * @returns {String} Trimmed query
+   */
+  getQuery() {
+    return this.input.value.trim();
+  }
+
+  /**
+   * Run the search now and update the match count
+   */
+  search() {
+    if (this.searchTimeout) {
+      clearTimeout(this.searchTimeout);
+      this.searchTimeout = null;
+    }
+
+    const query = this.getQuery();
+    const matchCount = this.onSearch(query);
+
+    if (query === '') {
+      this.status.textContent = '';
+    } else if (matchCount === 0) {
+      this.status.textContent = 'No exhibitors found';
+    } else {
+      this.status.textContent = `${matchCount} exhibitor${matchCount === 1 ? '' : 's'} found`;
+    }
+
+    this.form.classList.toggle('no-results', query !== '' && matchCount === 0);
+  }
+
+  /**
+   * Clear the query and show every exhibitor again
+   */
+  clear() {
+    this.input.value = '';
+    this.search();
+  }
+
+  /**
+   * Handle typing (debounced)
+   */
+  handleInput() {
+    if (this.searchTimeout) {
+      clearTimeout(this.searchTimeout);
+    }
+
+    this.searchTimeout = setTimeout(() => {
+      this.searchTimeout = null;
+      this.search();
+    }, this.SEARCH_DELAY);
+  }
+
+  /**
+   * Handle Escape to clear the search
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape' && this.input.value !== '') {
+      event.preventDefault();
+      // Don't let Escape also close an open panel
+      event.stopPropagation();
+      this.clear();
+    }
+  }
+
+  /**
+   * Handle Enter to open the best match
+   * @param {Event} event
+   */
+  handleSubmit(event) {
+    event.preventDefault();
+
+    // Make sure the filter reflects the latest keystrokes first
+    this.search();
+
+    const query = this.getQuery();
+    if (query !== '' && this.onSubmit) {
+      this.onSubmit(query);
+    }
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    if (this.searchTimeout) {
+      clearTimeout(this.searchTimeout);
+      this.searchTimeout = null;
+    }
+
+    this.input.removeEventListener('input', this.handleInput);
+    this.input.removeEventListener('keydown', this.handleKeyDown);
+    this.form.removeEventListener('submit', this.handleSubmit);
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchBox;
+}
@@ -0,0 +1,134 @@
+/**
+ * VirtualJoystick Class
+ * On-screen thumb stick for touch devices, used by the Memory Hall to walk and look around
+ *
+ * The owner polls `value` every frame: x and y run from -1 to 1 (right and down
+ * are positive) and return to 0 when the stick is released.
+ */
+class VirtualJoystick {
+  /**
+   * @param {HTMLElement} base - Stick area; its first `.joystick-knob` child follows the thumb
+   */
+  constructor(base) {
+    this.base = base;
+    this.knob = base.querySelector('.joystick-knob');
+
+    // Current deflection, -1..1 on each axis
+    this.value = { x: 0, y: 0 };
+
+    // Values below this are treated as 0 so a resting thumb doesn't drift
+    this.DEAD_ZONE = 0.15;
+
+    this.pointerId = null;
+    this.center = null;
+    this.radius = 0;
+
+    // Bind methods to maintain context
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+
+    // Set up event listeners
+    this.base.addEventListener('pointerdown', this.handlePointerDown);
+    this.base.addEventListener('pointermove', this.handlePointerMove);
+    this.base.addEventListener('pointerup', this.handlePointerUp);
+    this.base.addEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  /**
+   * Check if the stick is being held
+   * @returns {Boolean} True while a pointer is on the stick
+   */
+  isActive() {
+    return this.pointerId !== null;
+  }
+
+  /**
+   * Grab the stick
+   * @param {PointerEvent} event
+   */
+  handlePointerDown(event) {
+    if (this.pointerId !== null) return;
+
+    event.preventDefault();
+    this.pointerId = event.pointerId;
+    this.base.setPointerCapture(event.pointerId);
+
+    const rect = this.base.getBoundingClientRect();
+    this.center = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    this.radius = rect.width / 2;
+
+    this.base.classList.add('active');
+    this.handlePointerMove(event);
+  }
+
+  /**
+   * Move the stick, keeping the knob inside the base
+   * @param {PointerEvent} event
+   */
+  handlePointerMove(event) {
+    if (event.pointerId !== this.pointerId) return;
+
+    let dx = (event.clientX - this.center.x) / this.radius;
+    let dy = (event.clientY - this.center.y) / this.radius;
+
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length > 1) {
+      dx /= length;
+      dy /= length;
+    }
+
+    this.value = {
+      x: Math.abs(dx) < this.DEAD_ZONE ? 0 : dx,
+      y: Math.abs(dy) < this.DEAD_ZONE ? 0 : dy
+    };
+
+    this.moveKnob(dx, dy);
+  }
+
+  /**
+   * Release the stick
+   * @param {PointerEvent} event
+   */
+  handlePointerUp(event) {
+    if (event.pointerId !== this.pointerId) return;
+
+    this.reset();
+  }
+
+  /**
+   * Center the stick and clear its value
+   */
+  reset() {
+    this.pointerId = null;
+    this.value = { x: 0, y: 0 };
+    this.base.classList.remove('active');
+    this.moveKnob(0, 0);
+  }
+
+  /**
+   * Position the knob
+   * @param {Number} dx - Horizontal deflection, -1..1
+   * @param {Number} dy - Vertical deflection, -1..1
+   */
+  moveKnob(dx, dy) {
+    if (this.knob) {
+      this.knob.style.transform = `translate(${dx * this.radius}px, ${dy * this.radius}px)`;
+    }
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    this.base.removeEventListener('pointerdown', this.handlePointerDown);
+    this.base.removeEventListener('pointermove', this.handlePointerMove);
+    this.base.removeEventListener('pointerup', this.handlePointerUp);
+    this.base.removeEventListener('pointercancel', this.handlePointerUp);
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VirtualJoystick;
+}
@@ -0,0 +1,330 @@
+/**
+ * Bubble layouts
+ * Strategies for arranging the museum's bubbles in 3D space (see BubbleManager.setLayout)
+ *
+ * A layout is a function (items, options) returning one { x, y, z } position per
+ * item, in the same order. Positions are in sphere space: the camera turns the
+ * scene around the origin, and +z faces the viewer before any rotation.
+ *
+ * Options every layout receives:
+ * - radius: base distance from the center (BubbleManager.SPHERE_RADIUS)
+ * - jitter: random radius offset for an organic look (BubbleManager.POSITION_OFFSET)
+ * - random: random number generator returning [0, 1), seeded from the scene seed (BubbleManager.seed)
+ * Layout configs may add their own options (see each layout below).
+ */
+
+// Vertical distance between consecutive bubbles on the helix
+const HELIX_RISE = 45;
+// Bubbles per turn of the helix
+const HELIX_TURN_SIZE = 8;
+
+// Space each bubble takes on the ring's circumference
+const RING_SPACING = 180;
+
+// Distance between grid cells
+const GRID_SPACING = 170;
+
+// Space each member takes inside a category cluster
+const CLUSTER_SPACING = 90;
+
+// Category for items without one
+const UNCATEGORIZED = 'Other';
+
+/**
+ * Get a point on a Fibonacci sphere
+ * Spreads n points evenly over a unit sphere
+ * @param {Number} index - Point index (0 to count - 1)
+ * @param {Number} count - Number of points
+ * @returns {Object} Spherical angles ({ phi, theta })
+ */
+function getFibonacciAngles(index, count) {
+  const goldenRatio = (1 + Math.sqrt(5)) / 2;
+  const t = index / count;
+
+  return {
+    phi: Math.acos(1 - 2 * t), // Polar angle (0 to PI)
+    theta: Math.PI * 2 * goldenRatio * index // Azimuthal angle
+  };
+}
+
+/**
+ * Convert spherical coordinates to a position
+ * @param {Number} radius - Distance from the center
+ * @param {Number} phi - Polar angle
+ * @param {Number} theta - Azimuthal angle
+ * @returns {Object} Position with spherical and Cartesian coordinates
+ */
+function sphericalToPosition(radius, phi, theta) {
+  return {
+    // Spherical coordinates
+    radius: radius,
+    theta: theta,
+    phi: phi,
+    // Cartesian coordinates
+    x: radius * Math.sin(phi) * Math.cos(theta),
+    y: radius * Math.sin(phi) * Math.sin(theta),
+    z: radius * Math.cos(phi)
+  };
+}
+
+/**
+ * Fibonacci sphere with a random radius offset per bubble (the default layout)
+ * @param {Array} items - Portfolio items
+ * @param {Object} options - Layout options
+ * @returns {Array} Positions
+ */
+function sphereLayout(items, options) {
+  return items.map((item, index) => {
+    const { phi, theta } = getFibonacciAngles(index, items.length);
+
+    // Add random offset for organic appearance
+    const radius = options.radius + (options.random() - 0.5) * options.jitter;
+
+    return sphericalToPosition(radius, phi, theta);
+  });
+}
+
+/**
+ * Fibonacci sphere with offsets from its own seed, so it keeps its shape
+ * whatever the scene seed is (e.g. { name: 'seededSphere', seed: 42 })
+ * @param {Array} items - Portfolio items
+ * @param {Object} options - Layout options; seed defaults to the item ids
+ * @returns {Array} Positions
+ */
+function seededSphereLayout(items, options) {
+  const seed = options.seed !== undefined ? options.seed : items.map(item => item.id).join(',');
+
+  return sphereLayout(items, Object.assign({}, options, { random: createSeededRandom(seed) }));
+}
+
+/**
+ * Spiral around the vertical axis, first bubble at the top front
+ * @param {Array} items - Portfolio items
+ * @param {Object} options - Layout options, plus rise and turnSize
+ * @returns {Array} Positions
+ */
+function helixLayout(items, options) {
+  const rise = options.rise || HELIX_RISE;
+  const turnSize = options.turnSize || HELIX_TURN_SIZE;
+  const top = ((items.length - 1) * rise) / 2;
+
+  return items.map((item, index) => {
+    const angle = (index / turnSize) * Math.PI * 2;
+
+    return {
+      x: options.radius * Math.sin(angle),
+      y: index * rise - top, // Screen y points down
+      z: options.radius * Math.cos(angle)
+    };
+  });
+}
+
+/**
+ * Carousel: one horizontal ring, widened so bubbles don't overlap
+ * @param {Array} items - Portfolio items
+ * @param {Object} options - Layout options, plus spacing
+ * @returns {Array} Positions
+ */
+function ringLayout(items, options) {
+  const spacing = options.spacing || RING_SPACING;
+  const radius = Math.max(options.radius, (items.length * spacing) / (Math.PI * 2));
+
+  return items.map((item, index) => {
+    const angle = (index / items.length) * Math.PI * 2;
+
+    return {
+      x: radius * Math.sin(angle),
+      y: 0,
+      z: radius * Math.cos(angle)
+    };
+  });
+}
+
+/**
+ * Wall of rows and columns facing the viewer, curved around the center
+ * @param {Array} items - Portfolio items
+ * @param {Object} options - Layout options, plus columns and spacing
+ * @returns {Array} Positions
+ */
+function gridLayout(items, options) {
+  const spacing = options.spacing || GRID_SPACING;
+  // Wider than tall by default, like a screen
+  const columns = options.columns || Math.max(1, Math.ceil(Math.sqrt(items.length * 1.6)));
+  const rows = Math.ceil(items.length / columns);
+
+  return items.map((item, index) => {
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    const angle = ((column - (columns - 1) / 2) * spacing) / options.radius;
+
+    return {
+      x: options.radius * Math.sin(angle),
+      y: (row - (rows - 1) / 2) * spacing,
+      z: options.radius * Math.cos(angle)
+    };
+  });
+}
+
+/**
+ * Get an item's category for grouping
+ * @param {Object} item - Portfolio item
+ * @returns {String} Category name
+ */
+function getBubbleCategory(item) {
+  return item.category || UNCATEGORIZED;
+}
+
+/**
+ * Group items by category, in order of first appearance
+ * @param {Array} items - Portfolio items
+ * @returns {Array} Groups ({ name, indices }), indices being positions in items
+ */
+function getCategoryGroups(items) {
+  const groups = [];
+  const byName = new Map();
+
+  items.forEach((item, index) => {
+    const name = getBubbleCategory(item);
+    if (!byName.has(name)) {
+      byName.set(name, { name: name, indices: [] });
+      groups.push(byName.get(name));
+    }
+    byName.get(name).indices.push(index);
+  });
+
+  return groups;
+}
+
+/**
+ * Group items by category into small balls spread over the sphere
+ * @param {Array} items - Portfolio items
+ * @param {Object} options - Layout options, plus spacing
+ * @returns {Array} Positions
+ */
+function clusterLayout(items, options) {
+  const spacing = options.spacing || CLUSTER_SPACING;
+  const groups = getCategoryGroups(items);
+  const positions = new Array(items.length);
+
+  groups.forEach((group, groupIndex) => {
+    // A single category sits in front; more are spread out over the sphere
+    const angles = getFibonacciAngles(groupIndex, groups.length);
+    const center = groups.length === 1
+      ? { x: 0, y: 0, z: options.radius }
+      : sphericalToPosition(options.radius, angles.phi, angles.theta);
+
+    const indices = group.indices;
+    const clusterRadius = indices.length === 1 ? 0 : spacing * Math.cbrt(indices.length);
+
+    indices.forEach((itemIndex, memberIndex) => {
+      const { phi, theta } = getFibonacciAngles(memberIndex, indices.length);
+      const offset = sphericalToPosition(clusterRadius, phi, theta);
+
+      positions[itemIndex] = {
+        x: center.x + offset.x,
+        y: center.y + offset.y,
+        z: center.z + offset.z
+      };
+    });
+  });
+
+  return positions;
+}
+
+/**
+ * Get how far towards the viewer a position is once the camera has turned
+ * Same Y-then-X rotation as BubbleManager.rotatePosition()
+ * @param {Object} position - Position in sphere space ({ x, y, z })
+ * @param {Object} rotation - Camera rotation in degrees ({ x, y })
+ * @returns {Number} Rotated z (larger is closer)
+ */
+function getViewDepth(position, rotation) {
+  const rotX = (rotation.x * Math.PI) / 180;
+  const rotY = (rotation.y * Math.PI) / 180;
+  const z = position.x * Math.sin(rotY) + position.z * Math.cos(rotY);
+
+  return position.y * Math.sin(rotX) + z * Math.cos(rotX);
+}
+
+/**
+ * Move featured items onto the layout's front-most positions as seen from a
+ * camera rotation (the starting view, CameraController.DEFAULT_ROTATION),
+ * swapping with whichever items held them
+ * Other items keep their place unless a featured item takes it, so the layout
+ * keeps its shape
+ * @param {Array} items - Portfolio items
+ * @param {Array} positions - Positions from a layout, in item order
+ * @param {Object} rotation - Camera rotation in degrees ({ x, y }) the front is judged from
+ * @param {Boolean} keepCategories - Only swap within a category (for clusterLayout)
+ * @returns {Array} Positions, in item order
+ */
+function pinFeaturedToFront(items, positions, rotation, keepCategories) {
+  const depths = positions.map(position => getViewDepth(position, rotation));
+  const result = positions.slice();
+  const groups = keepCategories
+    ? getCategoryGroups(items)
+    : [{ indices: items.map((item, index) => index) }];
+
+  groups.forEach(group => {
+    const featured = group.indices.filter(index => items[index].featured);
+    if (featured.length === 0) return;
+
+    const front = group.indices
+      .slice()
+      .sort((a, b) => depths[b] - depths[a])
+      .slice(0, featured.length);
+
+    // Featured items outside the front swap with non-featured items inside it
+    const movers = featured.filter(index => !front.includes(index));
+    const freed = front.filter(index => !items[index].featured);
+
+    movers.forEach((index, n) => {
+      result[index] = positions[freed[n]];
+      result[freed[n]] = positions[index];
+    });
+  });
+
+  return result;
+}
+
+// Built-in layouts by name
+const BUBBLE_LAYOUTS = {
+  sphere: sphereLayout,
+  seededSphere: seededSphereLayout,
+  helix: helixLayout,
+  ring: ringLayout,
+  grid: gridLayout,
+  clusters: clusterLayout
+};
+
+/**
+ * Normalize a layout config
+ * @param {String|Object} layout - Layout name, or { name, ...options }
+ * @returns {Object} Layout config ({ name, options })
+ * @throws {Error} If the layout is unknown
+ */
+function getBubbleLayoutConfig(layout) {
+  const config = typeof layout === 'string' ? { name: layout } : Object.assign({}, layout);
+  const name = config.name || 'sphere';
+  delete config.name;
+
+  if (!Object.prototype.hasOwnProperty.call(BUBBLE_LAYOUTS, name)) {
+    throw new Error(`Unknown bubble layout "${name}" (expected one of: ${Object.keys(BUBBLE_LAYOUTS).join(', ')})`);
+  }
+
+  return { name: name, options: config };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUBBLE_LAYOUTS,
+    getBubbleLayoutConfig,
+    getBubbleCategory,
+    getCategoryGroups,
+    getViewDepth,
+    pinFeaturedToFront,
+    getFibonacciAngles,
+    sphericalToPosition
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Bubble projection
+ * Works out where bubbles appear on screen, for hit-testing without touching the DOM
+ *
+ * Mirrors the CSS that places them: each bubble is translated to
+ * (--x, --y, --z) from the middle of #museum-space, which has a perspective
+ * of --perspective centered on the same point. BubbleManager.updateBubbles()
+ * projects every bubble once per frame and getBubbleAt() tests against those
+ * results, so pointer moves never force a layout.
+ */
+
+// Extra distance (px) around a bubble's edge that still counts as a hit
+const BUBBLE_HIT_TOLERANCE = 10;
+
+// --scale of the .bubble.hovered and .bubble.selected states in bubbles.css
+const BUBBLE_STATE_SCALES = {
+  hovered: 1.1,
+  selected: 1.2
+};
+
+/**
+ * Get how large a bubble is drawn relative to a normal one
+ * Its own size (weight, or a wing's) times the hover/selection scale, where
+ * selection wins like it does in the stylesheet
+ * @param {Object} bubble - Bubble or group state ({ scale, isHovered, isSelected })
+ * @returns {Number} Scale factor
+ */
+function getBubbleScale(bubble) {
+  let stateScale = 1;
+  if (bubble.isSelected) {
+    stateScale = BUBBLE_STATE_SCALES.selected;
+  } else if (bubble.isHovered) {
+    stateScale = BUBBLE_STATE_SCALES.hovered;
+  }
+
+  return (bubble.scale || 1) * stateScale;
+}
+
+/**
+ * Project a bubble onto the screen
+ * @param {Object} point - Bubble center after rotation and zoom ({ x, y, z }, as in --x/--y/--z)
+ * @param {Number} radius - Bubble radius in px before perspective (half the size, times its scale)
+ * @param {Object} viewport - Viewport from BubbleManager.measureViewport() ({ centerX, centerY, perspective })
+ * @returns {Object|null} Screen circle ({ x, y, radius, depth }), or null if at or behind the eye
+ */
+function projectBubble(point, radius, viewport) {
+  const distance = viewport.perspective - point.z;
+  if (distance <= 0) return null;
+
+  const factor = viewport.perspective / distance;
+
+  return {
+    x: viewport.centerX + point.x * factor,
+    y: viewport.centerY + point.y * factor,
+    radius: radius * factor,
+    depth: point.z
+  };
+}
+
+/**
+ * Find the bubble under a screen point
+ * A point inside several bubbles hits the front-most one, since that is the one
+ * drawn on top; the tolerance band only counts when no bubble is hit directly,
+ * and then the nearest edge wins
+ * @param {Number} x - Screen X coordinate
+ * @param {Number} y - Screen Y coordinate
+ * @param {Array} circles - Screen circles from projectBubble() (null entries are skipped)
+ * @param {Number} tolerance - Distance around each edge that still counts (defaults to BUBBLE_HIT_TOLERANCE)
+ * @returns {Number} Index of the hit circle, or -1 if none
+ */
+function findBubbleAtPoint(x, y, circles, tolerance = BUBBLE_HIT_TOLERANCE) {
+  let frontIndex = -1;
+  let frontDepth = -Infinity;
+  let nearestIndex = -1;
+  let nearestGap = Infinity;
+
+  circles.forEach((circle, index) => {
+    if (!circle) return;
+
+    const gap = Math.sqrt(Math.pow(x - circle.x, 2) + Math.pow(y - circle.y, 2)) - circle.radius;
+
+    if (gap <= 0 && circle.depth > frontDepth) {
+      frontDepth = circle.depth;
+      frontIndex = index;
+    } else if (gap > 0 && gap <= tolerance && gap < nearestGap) {
+      nearestGap = gap;
+      nearestIndex = index;
+    }
+  });
+
+  return frontIndex !== -1 ? frontIndex : nearestIndex;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUBBLE_HIT_TOLERANCE,
+    BUBBLE_STATE_SCALES,
+    getBubbleScale,
+    projectBubble,
+    findBubbleAtPoint
+  };
+}
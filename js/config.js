@@ -1,141 +1,228 @@
 /**
  * Portfolio Data Configuration
- * Defines the structure and content for portfolio items displayed as bubbles
- * 
- * Each portfolio item can have a dedicated folder in assets/portfolios/{id}/
- * Images in that folder will be automatically loaded into the detail view cards
+ * Loads and validates the portfolio manifest displayed as bubbles
+ *
+ * Exhibitors are declared in data/portfolios.json instead of being hardcoded here,
+ * so adding or editing an artist only requires a manifest change.
+ * Each portfolio item can have a dedicated folder in assets/portfolios/{folder}/
+ * Media declared in that folder's manifest.json is loaded into the detail view cards
  */
 
-// Debug: Log that config.js is loading
-console.log('config.js is loading...');
+// Debug: Log that config.js is loading (in the page only, so the Node scripts stay quiet)
+if (typeof window !== 'undefined') {
+  console.log('config.js is loading...');
+}
 
 /**
- * Portfolio data array
- * Each item represents a project/work to be displayed as a bubble in the 3D museum
- * 
- * Structure:
- * - id: Unique identifier (also used as folder name in assets/portfolios/)
+ * Default location of the portfolio manifest (relative to index.html)
+ *
+ * The manifest is either a bare array of portfolio items or an object:
+ * { "version": 1, "portfolios": [ ... ] }
+ *
+ * Item structure:
+ * - id: Unique numeric identifier
  * - title: Display name
  * - description: Brief description
  * - image: Main bubble image (in assets/images/)
  * - color: Bubble color
- * - folder: Optional custom folder name (defaults to id)
- */
-const portfolioData = [
-  {
-    id: 1,
-    title: "CupofJay",
-    description: "CupofJay - A creative portfolio showcasing innovative designs and artistic expressions.",
-    image: "assets/images/cupofjay.jpg",
-    color: "#0000FF",
-    folder: "cupofjay" // Folder: assets/portfolios/cupofjay/
-  },
-  {
-    id: 2,
-    title: "Kylabidaboo",
-    description: "Kylabidaboo - Unique and vibrant creative works that push the boundaries of imagination.",
-    image: "assets/images/kylabidaboo.jpg",
-    color: "#E24A90",
-    folder: "kylabidaboo"
-  },
-  {
-    id: 3,
-    title: "Jnnzth",
-    description: "Jnnzth - Innovative solutions and creative approaches to modern challenges.",
-    image: "assets/images/jnnzth.jpg",
-    color: "#90E24A",
-    folder: "jnnzth"
-  },
-  {
-    id: 4,
-    title: "Bonchan",
-    description: "Bonchan - Artistic excellence and creative mastery in every project.",
-    image: "assets/images/bonchan.jpg",
-    color: "#FF4500",
-    folder: "bonchan"
-  },
-  {
-    id: 5,
-    title: "Beyl",
-    description: "Beyl - Cutting-edge designs that blend functionality with aesthetic appeal.",
-    image: "assets/images/beyl.jpg",
-    color: "#FFD700",
-    folder: "beyl"
-  },
-  {
-    id: 6,
-    title: "Juan.through.tree",
-    description: "Juan.through.tree - Nature-inspired creativity and organic design philosophy.",
-    image: "assets/images/juan.jpg",
-    color: "#8B4513",
-    folder: "juan"
-  },
-  {
-    id: 7,
-    title: "Shine",
-    description: "Shine - Brilliant concepts that illuminate the path to creative excellence.",
-    image: "assets/images/shine.jpg",
-    color: "#FFFFFF",
-    folder: "shine"
-  },
-  {
-    id: 8,
-    title: "Mfghozt",
-    description: "Mfghozt - Mysterious and captivating designs that leave a lasting impression.",
-    image: "assets/images/mfghozt.jpg",
-    color: "#000000",
-    folder: "mfghozt"
-  },
-  {
-    id: 9,
-    title: "Cian",
-    description: "Cian - Bold and dynamic creative solutions for the modern world.",
-    image: "assets/images/cian.jpg",
-    color: "#FF8C00",
-    folder: "cian"
-  },
-  {
-    id: 10,
-    title: "Well Known Renjard",
-    description: "Well Known Renjard - Renowned for exceptional quality and innovative thinking.",
-    image: "assets/images/renjard.jpg",
-    color: "#9400D3",
-    folder: "renjard"
-  },
-  {
-    id: 11,
-    title: "Pibee",
-    description: "Pibee - Sweet and delightful designs that bring joy to every project.",
-    image: "assets/images/pibee.jpg",
-    color: "#00CED1",
-    folder: "pibee"
-  },
-  {
-    id: 12,
-    title: "Jem",
-    description: "Jem - Precious and refined creative works that sparkle with originality.",
-    image: "assets/images/jem.jpg",
-    color: "#4B0082",
-    folder: "jem"
-  },
-  {
-    id: 13,
-    title: "KCCalip",
-    description: "KCCalip - Professional excellence and creative innovation in every detail.",
-    image: "assets/images/kccalip.jpg",
-    color: "#32CD32",
-    folder: "kccalip"
-  },
-  {
-    id: 14,
-    title: "Alyssa",
-    description: "Alyssa - Elegant and sophisticated designs that embody timeless beauty.",
-    image: "assets/images/alyssa.jpg",
-    color: "#FF6347",
-    folder: "alyssa"
-  }
+ * - folder: Optional custom folder name in assets/portfolios/ (defaults to id)
+ * - cards: Optional array of Memory Hall cards ({ id, title, type, ... }, see CARD_TYPES)
+ * - links: Optional array of external links ({ label, url })
+ * - tags: Optional array of keywords matched by the museum search
+ * - category: Optional group name for the clusters and wings groupings
+ * - weight: Optional relative bubble size (defaults to 1; 2 gives twice the area)
+ * - featured: Optional flag that enlarges the bubble, rings it and pins it towards the front
+ */
+const PORTFOLIO_MANIFEST_URL = 'data/portfolios.json';
+
+/**
+ * Memory Hall cards used when a portfolio item does not declare its own `cards`
+ * Each id is also the card's media folder in assets/portfolios/{folder}/
+ */
+const DEFAULT_HALL_CARDS = [
+  { id: 'overview', title: 'Overview' },
+  { id: 'gallery', title: 'Gallery' },
+  { id: 'technologies', title: 'Technologies' },
+  { id: 'details', title: 'Details' },
+  { id: 'links', title: 'Links' },
+  { id: 'contact', title: 'Contact' },
+  { id: 'placeholder1', title: 'Placeholder 1' },
+  { id: 'placeholder2', title: 'Placeholder 2' },
+  { id: 'placeholder3', title: 'Placeholder 3' },
+  { id: 'placeholder4', title: 'Placeholder 4' }
 ];
 
+/**
+ * Memory Hall card types and the fields each one reads
+ * - media: Images/videos from the card's asset folder (default)
+ * - text: `content` written in a small markdown subset
+ * - links: `links` ({ label, url }), falling back to the portfolio item's links
+ * - contact: `contact` ({ email, phone, socials: [{ label, url }] })
+ * - pdf: `file` in the card's asset folder, or an external `url`
+ */
+const CARD_TYPES = ['media', 'text', 'links', 'contact', 'pdf'];
+
+// Folder and card ids become path segments, so keep them to safe characters
+const SAFE_SEGMENT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Only allow links that are safe to open from the museum
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+// Loose checks - contact details only need to turn into working mailto:/tel: links
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ().-]{3,}$/;
+
+/**
+ * Checks that a value is a string with visible content
+ * @param {*} value - Value to check
+ * @returns {Boolean} True if value is a non-empty string
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Validates the Memory Hall cards declared for a portfolio item
+ * @param {Array} cards - Card definitions to validate
+ * @returns {Array} Error messages (empty if valid)
+ */
+function validatePortfolioCards(cards) {
+  if (!Array.isArray(cards)) {
+    return ['Portfolio item cards must be an array if provided'];
+  }
+  
+  const errors = [];
+  const seenCardIds = new Set();
+  
+  cards.forEach((card, index) => {
+    if (!card || typeof card !== 'object') {
+      errors.push(`Card ${index} must be an object`);
+      return;
+    }
+    
+    if (!isNonEmptyString(card.id) || !SAFE_SEGMENT_PATTERN.test(card.id)) {
+      errors.push(`Card ${index} must have an id made of letters, numbers, dashes or underscores`);
+    } else if (seenCardIds.has(card.id)) {
+      errors.push(`Card ${index} has duplicate id "${card.id}"`);
+    } else {
+      seenCardIds.add(card.id);
+    }
+    
+    if (!isNonEmptyString(card.title)) {
+      errors.push(`Card ${index} must have a non-empty title string`);
+    }
+    
+    if (card.content !== undefined && typeof card.content !== 'string') {
+      errors.push(`Card ${index} content must be a string if provided`);
+    }
+    
+    if (card.type !== undefined && !CARD_TYPES.includes(card.type)) {
+      errors.push(`Card ${index} type must be one of: ${CARD_TYPES.join(', ')}`);
+      return;
+    }
+    
+    errors.push(...validateCardTypeFields(card).map(message => `Card ${index} ${message}`));
+  });
+  
+  return errors;
+}
+
+/**
+ * Validates the fields a card's type needs in order to render
+ * @param {Object} card - Card definition with a known (or missing) type
+ * @returns {Array} Error messages without the card prefix (empty if valid)
+ */
+function validateCardTypeFields(card) {
+  const errors = [];
+  
+  switch (card.type) {
+    case 'text':
+      if (!isNonEmptyString(card.content)) {
+        errors.push('of type "text" must have non-empty content');
+      }
+      break;
+      
+    case 'links':
+      if (card.links !== undefined) {
+        errors.push(...validatePortfolioLinks(card.links).map(message => `links: ${message}`));
+      }
+      break;
+      
+    case 'contact': {
+      const contact = card.contact;
+      if (!contact || typeof contact !== 'object') {
+        errors.push('of type "contact" must have a contact object');
+        break;
+      }
+      
+      if (contact.email !== undefined && (typeof contact.email !== 'string' || !EMAIL_PATTERN.test(contact.email))) {
+        errors.push('contact email must be a valid email address');
+      }
+      if (contact.phone !== undefined && (typeof contact.phone !== 'string' || !PHONE_PATTERN.test(contact.phone))) {
+        errors.push('contact phone must contain only digits, spaces and + ( ) . -');
+      }
+      if (contact.socials !== undefined) {
+        errors.push(...validatePortfolioLinks(contact.socials).map(message => `contact socials: ${message}`));
+      }
+      if (contact.email === undefined && contact.phone === undefined && contact.socials === undefined) {
+        errors.push('contact must include an email, phone or socials');
+      }
+      break;
+    }
+      
+    case 'pdf':
+      if (card.file !== undefined) {
+        if (!isNonEmptyString(card.file) || !SAFE_FILENAME_PATTERN.test(card.file) || !/\.pdf$/i.test(card.file)) {
+          errors.push('file must be a .pdf file name inside the card folder');
+        }
+      } else if (!isNonEmptyString(card.url) || !/^https?:\/\//i.test(card.url)) {
+        errors.push('of type "pdf" must have a file or an http(s) url');
+      }
+      break;
+  }
+  
+  return errors;
+}
+
+/**
+ * Get the type of a Memory Hall card
+ * @param {Object} card - Card definition
+ * @returns {String} One of CARD_TYPES
+ */
+function getCardType(card) {
+  return card && card.type ? card.type : 'media';
+}
+
+/**
+ * Validates the external links declared for a portfolio item
+ * @param {Array} links - Link definitions to validate
+ * @returns {Array} Error messages (empty if valid)
+ */
+function validatePortfolioLinks(links) {
+  if (!Array.isArray(links)) {
+    return ['Portfolio item links must be an array if provided'];
+  }
+  
+  const errors = [];
+  
+  links.forEach((link, index) => {
+    if (!link || typeof link !== 'object') {
+      errors.push(`Link ${index} must be an object`);
+      return;
+    }
+    
+    if (!isNonEmptyString(link.label)) {
+      errors.push(`Link ${index} must have a non-empty label string`);
+    }
+    
+    if (!isNonEmptyString(link.url) || !SAFE_URL_PATTERN.test(link.url)) {
+      errors.push(`Link ${index} must have an http(s) or mailto url`);
+    }
+  });
+  
+  return errors;
+}
+
 /**
  * Validates a portfolio item to ensure it has all required fields
  * @param {Object} item - Portfolio item to validate
@@ -144,6 +231,13 @@ const portfolioData = [
 function validatePortfolioItem(item) {
   const errors = [];
   
+  if (!item || typeof item !== 'object') {
+    return {
+      isValid: false,
+      errors: ['Portfolio item must be an object']
+    };
+  }
+  
   // Check required fields
   if (!item.id || typeof item.id !== 'number') {
     errors.push('Portfolio item must have a valid numeric id');
@@ -170,6 +264,34 @@ function validatePortfolioItem(item) {
     }
   }
   
+  if (item.folder !== undefined && (typeof item.folder !== 'string' || !SAFE_SEGMENT_PATTERN.test(item.folder))) {
+    errors.push('Portfolio item folder must be a folder name made of letters, numbers, dashes or underscores');
+  }
+  
+  if (item.cards !== undefined) {
+    errors.push(...validatePortfolioCards(item.cards));
+  }
+  
+  if (item.links !== undefined) {
+    errors.push(...validatePortfolioLinks(item.links));
+  }
+  
+  if (item.tags !== undefined && (!Array.isArray(item.tags) || !item.tags.every(isNonEmptyString))) {
+    errors.push('Portfolio item tags must be an array of non-empty strings if provided');
+  }
+  
+  if (item.category !== undefined && !isNonEmptyString(item.category)) {
+    errors.push('Portfolio item category must be a non-empty string if provided');
+  }
+  
+  if (item.weight !== undefined && (typeof item.weight !== 'number' || !(item.weight > 0) || !isFinite(item.weight))) {
+    errors.push('Portfolio item weight must be a positive number if provided');
+  }
+  
+  if (item.featured !== undefined && typeof item.featured !== 'boolean') {
+    errors.push('Portfolio item featured must be true or false if provided');
+  }
+  
   return {
     isValid: errors.length === 0,
     errors: errors
@@ -201,6 +323,7 @@ function validatePortfolioData(data) {
   const allErrors = [];
   const validItems = [];
   const seenIds = new Set();
+  const seenFolders = new Set();
   
   data.forEach((item, index) => {
     const validation = validatePortfolioItem(item);
@@ -208,11 +331,15 @@ function validatePortfolioData(data) {
     if (!validation.isValid) {
       allErrors.push(`Item ${index}: ${validation.errors.join(', ')}`);
     } else {
-      // Check for duplicate IDs
+      // Check for duplicate IDs and folders (two items must not share assets)
+      const folder = item.folder || String(item.id);
       if (seenIds.has(item.id)) {
         allErrors.push(`Item ${index}: Duplicate id ${item.id} found`);
+      } else if (seenFolders.has(folder)) {
+        allErrors.push(`Item ${index}: Duplicate folder "${folder}" found`);
       } else {
         seenIds.add(item.id);
+        seenFolders.add(folder);
         validItems.push(item);
       }
     }
@@ -225,24 +352,442 @@ function validatePortfolioData(data) {
   };
 }
 
-// Validate the portfolio data on load
-const dataValidation = validatePortfolioData(portfolioData);
-if (!dataValidation.isValid) {
-  console.error('Portfolio data validation failed:', dataValidation.errors);
-} else {
-  console.log('Portfolio data loaded successfully:', portfolioData.length, 'items');
+/**
+ * Get the Memory Hall cards for a portfolio item
+ * @param {Object} item - Portfolio item
+ * @returns {Array} Card definitions ({ id, title, ... })
+ */
+function getPortfolioCards(item) {
+  return item && Array.isArray(item.cards) ? item.cards : DEFAULT_HALL_CARDS;
+}
+
+/**
+ * Extract the portfolio item array from a parsed manifest
+ * @param {Array|Object} manifest - Bare item array or { portfolios: [...] }
+ * @returns {Array|null} Portfolio items, or null if the manifest has none
+ */
+function getManifestPortfolios(manifest) {
+  if (Array.isArray(manifest)) {
+    return manifest;
+  }
+  
+  if (manifest && Array.isArray(manifest.portfolios)) {
+    return manifest.portfolios;
+  }
+  
+  return null;
+}
+
+/**
+ * Fetch the portfolio manifest and validate it through validatePortfolioData
+ * Rejects with an Error whose `errors` property lists validation failures
+ * @param {String} url - Manifest URL (defaults to PORTFOLIO_MANIFEST_URL)
+ * @returns {Promise<Array>} Resolves with the validated portfolio items
+ */
+function loadPortfolioManifest(url = PORTFOLIO_MANIFEST_URL) {
+  return fetch(url, { cache: 'no-cache' })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Portfolio manifest request failed (${response.status} ${response.statusText})`);
+      }
+      return response.json();
+    })
+    .then(manifest => {
+      const portfolios = getManifestPortfolios(manifest);
+      if (!portfolios) {
+        throw new Error('Portfolio manifest must be an array or an object with a "portfolios" array');
+      }
+      
+      const validation = validatePortfolioData(portfolios);
+      if (!validation.isValid) {
+        console.error('Portfolio data validation failed:', validation.errors);
+        const error = new Error('Portfolio data is invalid. Please check the console for details.');
+        error.errors = validation.errors;
+        throw error;
+      }
+      
+      console.log('Portfolio data loaded successfully:', portfolios.length, 'items');
+      return portfolios;
+    });
+}
+
+/**
+ * Per-portfolio asset manifest
+ *
+ * Each folder in assets/portfolios/{folder}/ declares its media in manifest.json,
+ * so the detail view only requests files that actually exist:
+ * {
+ *   "version": 1,
+ *   "media": {
+ *     "overview": [{ "file": "2.jpg", "type": "image", "alt": "...", "caption": "...", "order": 1 }],
+ *     "background": [{ "file": "1.png", "type": "image" }]
+ *   }
+ * }
+ * Keys of "media" are card folder names; "background" feeds the shooting stars.
+ */
+const ASSET_MANIFEST_FILENAME = 'manifest.json';
+const ASSET_MEDIA_TYPES = ['image', 'video'];
+
+// Media files live directly inside their card folder
+const SAFE_FILENAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._-]*$/;
+
+/**
+ * Build the base path of a portfolio's asset folder
+ * @param {String|Number} folder - Portfolio folder name
+ * @returns {String} Path ending in a slash
+ */
+function getPortfolioAssetPath(folder) {
+  return `assets/portfolios/${folder}/`;
+}
+
+/**
+ * Validates a per-portfolio asset manifest
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {Object} Validation result with isValid flag and error messages
+ */
+function validateAssetManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || !manifest.media || typeof manifest.media !== 'object') {
+    return {
+      isValid: false,
+      errors: ['Asset manifest must be an object with a "media" object']
+    };
+  }
+  
+  const errors = [];
+  
+  Object.keys(manifest.media).forEach(cardName => {
+    const entries = manifest.media[cardName];
+    
+    if (!SAFE_SEGMENT_PATTERN.test(cardName)) {
+      errors.push(`Card folder "${cardName}" must be made of letters, numbers, dashes or underscores`);
+    }
+    
+    if (!Array.isArray(entries)) {
+      errors.push(`${cardName}: media must be an array`);
+      return;
+    }
+    
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`${cardName}[${index}]: entry must be an object`);
+        return;
+      }
+      
+      if (!isNonEmptyString(entry.file) || !SAFE_FILENAME_PATTERN.test(entry.file) || entry.file.includes('..')) {
+        errors.push(`${cardName}[${index}]: file must be a file name inside the card folder`);
+      }
+      
+      if (!ASSET_MEDIA_TYPES.includes(entry.type)) {
+        errors.push(`${cardName}[${index}]: type must be one of ${ASSET_MEDIA_TYPES.join(', ')}`);
+      }
+      
+      if (entry.alt !== undefined && typeof entry.alt !== 'string') {
+        errors.push(`${cardName}[${index}]: alt must be a string if provided`);
+      }
+      
+      if (entry.caption !== undefined && typeof entry.caption !== 'string') {
+        errors.push(`${cardName}[${index}]: caption must be a string if provided`);
+      }
+      
+      if (entry.order !== undefined && (typeof entry.order !== 'number' || !isFinite(entry.order))) {
+        errors.push(`${cardName}[${index}]: order must be a number if provided`);
+      }
+    });
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Fetch and validate a portfolio's asset manifest
+ * @param {String|Number} folder - Portfolio folder name
+ * @returns {Promise<Object>} Resolves with the manifest, rejects if missing or invalid
+ */
+function loadAssetManifest(folder) {
+  const url = getPortfolioAssetPath(folder) + ASSET_MANIFEST_FILENAME;
+  
+  return fetch(url, { cache: 'no-cache' })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Asset manifest ${url} request failed (${response.status} ${response.statusText})`);
+      }
+      return response.json();
+    })
+    .then(manifest => {
+      const validation = validateAssetManifest(manifest);
+      if (!validation.isValid) {
+        const error = new Error(`Asset manifest ${url} is invalid`);
+        error.errors = validation.errors;
+        throw error;
+      }
+      return manifest;
+    });
+}
+
+/**
+ * Get the media entries declared for a card, sorted by order then file name
+ * @param {Object|null} manifest - Asset manifest (null if unavailable)
+ * @param {String} cardName - Card folder name
+ * @returns {Array} Media entries
+ */
+function getCardMedia(manifest, cardName) {
+  if (!manifest || !manifest.media || !Array.isArray(manifest.media[cardName])) {
+    return [];
+  }
+  
+  return manifest.media[cardName].slice().sort((a, b) => {
+    const orderA = a.order !== undefined ? a.order : Infinity;
+    const orderB = b.order !== undefined ? b.order : Infinity;
+    if (orderA !== orderB) {
+      return orderA < orderB ? -1 : 1;
+    }
+    return a.file.localeCompare(b.file, undefined, { numeric: true });
+  });
+}
+
+/**
+ * Default location of the guided tour manifest (relative to index.html)
+ *
+ * Structure:
+ * {
+ *   "version": 1,
+ *   "dwell": { "bubble": 1500, "panel": 6000, "hall": 2500, "card": 4000 },
+ *   "walkHall": false,
+ *   "stops": [
+ *     { "portfolio": "cupofjay", "narration": "...", "walkHall": true,
+ *       "cards": ["overview", { "id": "gallery", "narration": "..." }], "dwell": { ... } }
+ *   ]
+ * }
+ *
+ * Stops reference portfolios by folder name (or id). dwell values are milliseconds
+ * spent on each step; a stop's dwell and walkHall override the tour-wide ones.
+ * Without a tour manifest every portfolio is visited in manifest order.
+ */
+const TOUR_MANIFEST_URL = 'data/tour.json';
+const DEFAULT_TOUR_DWELL = { bubble: 1500, panel: 6000, hall: 2500, card: 4000 };
+
+/**
+ * Validates tour dwell times
+ * @param {Object} dwell - Dwell times by step
+ * @param {String} prefix - Prefix for error messages
+ * @returns {Array} Error messages (empty if valid)
+ */
+function validateTourDwell(dwell, prefix) {
+  if (!dwell || typeof dwell !== 'object' || Array.isArray(dwell)) {
+    return [`${prefix}dwell must be an object`];
+  }
+  
+  const errors = [];
+  
+  Object.keys(dwell).forEach(step => {
+    if (!(step in DEFAULT_TOUR_DWELL)) {
+      errors.push(`${prefix}dwell has unknown step "${step}" (expected ${Object.keys(DEFAULT_TOUR_DWELL).join(', ')})`);
+    } else if (typeof dwell[step] !== 'number' || dwell[step] < 0) {
+      errors.push(`${prefix}dwell.${step} must be a non-negative number of milliseconds`);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Validates a guided tour manifest
+ * @param {Object} tour - Parsed tour manifest
+ * @returns {Object} Validation result with isValid flag and error messages
+ */
+function validateTourManifest(tour) {
+  if (!tour || typeof tour !== 'object' || Array.isArray(tour)) {
+    return { isValid: false, errors: ['Tour manifest must be an object'] };
+  }
+  
+  const errors = [];
+  
+  if (tour.dwell !== undefined) {
+    errors.push(...validateTourDwell(tour.dwell, ''));
+  }
+  
+  if (tour.walkHall !== undefined && typeof tour.walkHall !== 'boolean') {
+    errors.push('walkHall must be true or false');
+  }
+  
+  if (tour.stops !== undefined && !Array.isArray(tour.stops)) {
+    errors.push('stops must be an array');
+  } else if (tour.stops) {
+    tour.stops.forEach((stop, index) => {
+      const prefix = `Stop ${index} `;
+      
+      if (!stop || typeof stop !== 'object') {
+        errors.push(`${prefix}must be an object`);
+        return;
+      }
+      
+      if (!isNonEmptyString(stop.portfolio)) {
+        errors.push(`${prefix}must reference a portfolio folder name`);
+      }
+      
+      if (stop.narration !== undefined && typeof stop.narration !== 'string') {
+        errors.push(`${prefix}narration must be a string`);
+      }
+      
+      if (stop.walkHall !== undefined && typeof stop.walkHall !== 'boolean') {
+        errors.push(`${prefix}walkHall must be true or false`);
+      }
+      
+      if (stop.dwell !== undefined) {
+        errors.push(...validateTourDwell(stop.dwell, prefix));
+      }
+      
+      if (stop.cards !== undefined) {
+        if (!Array.isArray(stop.cards)) {
+          errors.push(`${prefix}cards must be an array`);
+        } else {
+          stop.cards.forEach((card, cardIndex) => {
+            const id = typeof card === 'string' ? card : card && card.id;
+            if (!isNonEmptyString(id)) {
+              errors.push(`${prefix}card ${cardIndex} must be a card id or { id, narration }`);
+            } else if (typeof card === 'object' && card.narration !== undefined && typeof card.narration !== 'string') {
+              errors.push(`${prefix}card ${cardIndex} narration must be a string`);
+            }
+          });
+        }
+      }
+    });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Fetch and validate the guided tour manifest
+ * A missing file (404) is not an error - it resolves to null and the default tour is used
+ * @param {String} url - Tour manifest URL
+ * @returns {Promise<Object|null>} Resolves with the tour manifest, or null if there is none
+ */
+function loadTourManifest(url = TOUR_MANIFEST_URL) {
+  return fetch(url, { cache: 'no-cache' })
+    .then(response => {
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Tour manifest request failed (${response.status} ${response.statusText})`);
+      }
+      return response.json();
+    })
+    .then(tour => {
+      if (tour === null) {
+        return null;
+      }
+      
+      const validation = validateTourManifest(tour);
+      if (!validation.isValid) {
+        const error = new Error('Tour manifest is invalid');
+        error.errors = validation.errors;
+        throw error;
+      }
+      return tour;
+    });
+}
+
+/**
+ * Resolve a tour manifest into the stops to visit
+ * Stops whose portfolio is not shown (unknown, or trimmed on small devices) are skipped
+ * @param {Object|null} tour - Tour manifest, or null for the default tour
+ * @param {Array} portfolios - Portfolio items on display
+ * @returns {Array} Stops ({ item, narration, walkHall, dwell, cards: [{ id, title, narration }] })
+ */
+function getTourStops(tour, portfolios) {
+  const tourDwell = Object.assign({}, DEFAULT_TOUR_DWELL, tour && tour.dwell);
+  const tourWalkHall = Boolean(tour && tour.walkHall);
+  const stops = tour && tour.stops
+    ? tour.stops
+    : portfolios.map(item => ({ portfolio: String(item.folder || item.id) }));
+  
+  const resolved = [];
+  
+  stops.forEach(stop => {
+    const item = portfolios.find(portfolio => String(portfolio.folder || portfolio.id) === stop.portfolio);
+    if (!item) {
+      console.warn(`Tour stop "${stop.portfolio}" is not on display, skipping it`);
+      return;
+    }
+    
+    const hallCards = getPortfolioCards(item);
+    const cardRefs = stop.cards || hallCards.map(card => card.id);
+    const cards = [];
+    
+    cardRefs.forEach(ref => {
+      const id = typeof ref === 'string' ? ref : ref.id;
+      const card = hallCards.find(hallCard => hallCard.id === id);
+      if (!card) {
+        console.warn(`Tour stop "${stop.portfolio}" lists unknown card "${id}", skipping it`);
+        return;
+      }
+      cards.push({
+        id: id,
+        title: card.title,
+        narration: typeof ref === 'object' && ref.narration ? ref.narration : card.title
+      });
+    });
+    
+    resolved.push({
+      item: item,
+      narration: stop.narration !== undefined ? stop.narration : item.description,
+      walkHall: stop.walkHall !== undefined ? stop.walkHall : tourWalkHall,
+      dwell: Object.assign({}, tourDwell, stop.dwell),
+      cards: cards
+    });
+  });
+  
+  return resolved;
 }
 
-// Make sure portfolioData is available globally
-window.portfolioData = portfolioData;
-window.validatePortfolioItem = validatePortfolioItem;
-window.validatePortfolioData = validatePortfolioData;
+// Make the loaders and validators available globally
+if (typeof window !== 'undefined') {
+  window.PORTFOLIO_MANIFEST_URL = PORTFOLIO_MANIFEST_URL;
+  window.DEFAULT_HALL_CARDS = DEFAULT_HALL_CARDS;
+  window.validatePortfolioItem = validatePortfolioItem;
+  window.validatePortfolioData = validatePortfolioData;
+  window.loadPortfolioManifest = loadPortfolioManifest;
+  window.getPortfolioCards = getPortfolioCards;
+  window.getPortfolioAssetPath = getPortfolioAssetPath;
+  window.validateAssetManifest = validateAssetManifest;
+  window.loadAssetManifest = loadAssetManifest;
+  window.getCardMedia = getCardMedia;
+  window.getCardType = getCardType;
+  window.TOUR_MANIFEST_URL = TOUR_MANIFEST_URL;
+  window.loadTourManifest = loadTourManifest;
+  window.getTourStops = getTourStops;
+}
 
 // Export for use in other modules (Node.js compatibility)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    portfolioData,
+    PORTFOLIO_MANIFEST_URL,
+    DEFAULT_HALL_CARDS,
+    CARD_TYPES,
     validatePortfolioItem,
-    validatePortfolioData
+    validatePortfolioData,
+    getManifestPortfolios,
+    getPortfolioCards,
+    loadPortfolioManifest,
+    ASSET_MANIFEST_FILENAME,
+    ASSET_MEDIA_TYPES,
+    getPortfolioAssetPath,
+    validateAssetManifest,
+    loadAssetManifest,
+    getCardMedia,
+    getCardType,
+    TOUR_MANIFEST_URL,
+    DEFAULT_TOUR_DWELL,
+    validateTourManifest,
+    loadTourManifest,
+    getTourStops
   };
 }
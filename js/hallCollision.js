@@ -0,0 +1,144 @@
+/**
+ * Memory Hall collision
+ * Keeps the DetailView camera inside the hallway and out of the cards
+ *
+ * Everything here is plain math on the hall layout (see DetailView.calculateHallLayout),
+ * working in the floor plane: x runs across the hallway, z along it (the title
+ * card end is towards -z). The camera is a circle of HALL_CAMERA_RADIUS.
+ */
+
+// Camera footprint - how close the camera can get to a card or wall
+const HALL_CAMERA_RADIUS = 60;
+
+// Card volume - .wall-box.hall-card is a 400px orb turned to face the hallway,
+// so it spans 400px along z and is given some depth across x (its blocking band
+// then runs on to the side wall, see getHallGeometry)
+const HALL_CARD_SIZE = 400;
+const HALL_CARD_DEPTH = 40;
+
+// Side walls - the hallway floor (.wall-grid::before) is 1600px wide
+const HALL_WALL_OFFSET = 800;
+
+/**
+ * Build the walkable bounds and card volumes for a hall layout
+ * @param {Object} layout - Layout from DetailView.calculateHallLayout() ({ slots, titleZ })
+ * @param {Number} entranceZ - Depth of the hallway entrance (the camera start)
+ * @returns {Object} Geometry with bounds ({ minX, maxX, minZ, maxZ }) and colliders (boxes of the same shape)
+ */
+function getHallGeometry(layout, entranceZ) {
+  const bounds = {
+    minX: -HALL_WALL_OFFSET,
+    maxX: HALL_WALL_OFFSET,
+    // The title card closes the far end of the hallway
+    minZ: layout.titleZ,
+    maxZ: entranceZ
+  };
+
+  // Each card blocks from its front face back to the wall it hangs on, so there
+  // is no strip behind it for the camera to slip into
+  const colliders = layout.slots.map(slot => {
+    const front = slot.x - (slot.side * HALL_CARD_DEPTH) / 2;
+    const wall = slot.side * HALL_WALL_OFFSET;
+
+    return {
+      minX: Math.min(front, wall),
+      maxX: Math.max(front, wall),
+      minZ: slot.z - HALL_CARD_SIZE / 2,
+      maxZ: slot.z + HALL_CARD_SIZE / 2
+    };
+  });
+
+  return { bounds, colliders };
+}
+
+/**
+ * Check if a circle overlaps a box
+ * Touching an edge doesn't count, so the camera can slide along a face
+ * @param {Object} point - Circle center ({ x, z })
+ * @param {Object} box - Box ({ minX, maxX, minZ, maxZ })
+ * @param {Number} radius - Circle radius
+ * @returns {Boolean} True if they overlap
+ */
+function isInsideHallBox(point, box, radius) {
+  return point.x > box.minX - radius && point.x < box.maxX + radius &&
+    point.z > box.minZ - radius && point.z < box.maxZ + radius;
+}
+
+/**
+ * Move along one axis, stopping at the first box in the way
+ * Checks the whole swept interval so fast moves can't tunnel through thin cards
+ * @param {Number} from - Start coordinate on the moving axis
+ * @param {Number} to - Wanted coordinate on the moving axis
+ * @param {Number} fixed - Coordinate on the other axis
+ * @param {Array} boxes - Boxes as { min, max, otherMin, otherMax } for this axis
+ * @param {Number} radius - Camera radius
+ * @returns {Number} Reachable coordinate
+ */
+function sweepHallAxis(from, to, fixed, boxes, radius) {
+  let reached = to;
+
+  boxes.forEach(box => {
+    // Only boxes level with the camera on the other axis can be hit
+    if (fixed <= box.otherMin - radius || fixed >= box.otherMax + radius) return;
+
+    if (reached > from && from <= box.min - radius && reached > box.min - radius) {
+      reached = box.min - radius;
+    } else if (reached < from && from >= box.max + radius && reached < box.max + radius) {
+      reached = box.max + radius;
+    }
+  });
+
+  return reached;
+}
+
+/**
+ * Resolve a camera move against the hall geometry
+ * Moves across, then along the hallway, so a blocked direction slides along
+ * the wall or card instead of stopping dead
+ * @param {Object} from - Current position ({ x, z })
+ * @param {Object} to - Wanted position ({ x, z })
+ * @param {Object} geometry - Geometry from getHallGeometry()
+ * @param {Number} radius - Camera radius (defaults to HALL_CAMERA_RADIUS)
+ * @returns {Object} Reachable position ({ x, z })
+ */
+function resolveHallMovement(from, to, geometry, radius = HALL_CAMERA_RADIUS) {
+  const { bounds } = geometry;
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+  // Cards the camera is already inside (e.g. after the layout changed) don't
+  // block, so it can always walk back out
+  const colliders = geometry.colliders.filter(box => !isInsideHallBox(from, box, radius));
+
+  const x = sweepHallAxis(
+    from.x,
+    clamp(to.x, bounds.minX + radius, bounds.maxX - radius),
+    from.z,
+    colliders.map(box => ({ min: box.minX, max: box.maxX, otherMin: box.minZ, otherMax: box.maxZ })),
+    radius
+  );
+
+  const z = sweepHallAxis(
+    from.z,
+    // The entrance is where the camera starts, not a wall, so it needs no clearance
+    clamp(to.z, bounds.minZ + radius, bounds.maxZ),
+    x,
+    colliders.map(box => ({ min: box.minZ, max: box.maxZ, otherMin: box.minX, otherMax: box.maxX })),
+    radius
+  );
+
+  return { x, z };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HALL_CAMERA_RADIUS,
+    HALL_CARD_SIZE,
+    HALL_CARD_DEPTH,
+    HALL_WALL_OFFSET,
+    getHallGeometry,
+    isInsideHallBox,
+    sweepHallAxis,
+    resolveHallMovement
+  };
+}
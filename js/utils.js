@@ -108,6 +108,26 @@ function getBubbleSizeScale(viewportWidth) {
   return 1.0; // Full size on desktop
 }
 
+// Limits for per-item bubble sizes (see getItemScale)
+const MIN_ITEM_SCALE = 0.6;
+const MAX_ITEM_SCALE = 1.6;
+// Extra size for featured items
+const FEATURED_ITEM_SCALE = 1.25;
+
+/**
+ * Get an item's bubble size from its weight and featured flag
+ * Weight sets the bubble's area rather than its width, so weight 2 looks
+ * twice as big, not four times
+ * @param {Object} item - Portfolio item
+ * @returns {Number} Scale factor relative to a normal bubble
+ */
+function getItemScale(item) {
+  const weight = item.weight !== undefined ? item.weight : 1;
+  const scale = Math.sqrt(weight) * (item.featured ? FEATURED_ITEM_SCALE : 1);
+  
+  return Math.max(MIN_ITEM_SCALE, Math.min(MAX_ITEM_SCALE, scale));
+}
+
 /**
  * Apply performance optimizations based on device
  * @param {HTMLElement} container - Museum space container
@@ -143,8 +163,9 @@ function applyPerformanceOptimizations(container, deviceInfo) {
  * @param {HTMLElement} container - The museum space container
  * @param {Array} portfolioData - Portfolio items data
  * @param {Function} onItemClick - Callback for item clicks
+ * @param {Number|String} seed - Scene seed for items without a color (see getSceneSeed)
  */
-function create2DFallback(container, portfolioData, onItemClick) {
+function create2DFallback(container, portfolioData, onItemClick, seed = getSceneSeed()) {
   // Clear container
   container.innerHTML = '';
   
@@ -184,8 +205,8 @@ function create2DFallback(container, portfolioData, onItemClick) {
     itemContent.appendChild(description);
     gridItem.appendChild(itemContent);
     
-    // Set background color
-    const color = item.color || generateRandomColor();
+    // Set background color (the same generated color the item's bubble gets)
+    const color = getItemColor(item, seed);
     gridItem.style.backgroundColor = color;
     
     // Add click handler
@@ -209,17 +230,358 @@ function create2DFallback(container, portfolioData, onItemClick) {
   container.insertBefore(message, grid);
 }
 
+/**
+ * Show a loading or error message over the museum container
+ * Reuses a single status element so repeated calls replace the previous state
+ * @param {HTMLElement} container - The museum space container
+ * @param {String} state - 'loading' or 'error'
+ * @param {String} message - Message to display
+ * @param {Function} onRetry - Optional retry callback (adds a retry button)
+ * @returns {HTMLElement} The status element
+ */
+function showMuseumStatus(container, state, message, onRetry) {
+  let status = container.querySelector('.museum-status');
+
+  if (!status) {
+    status = document.createElement('div');
+    status.className = 'museum-status';
+    container.appendChild(status);
+  }
+
+  status.innerHTML = '';
+  status.setAttribute('data-state', state);
+  status.setAttribute('role', state === 'error' ? 'alert' : 'status');
+  status.setAttribute('aria-live', state === 'error' ? 'assertive' : 'polite');
+
+  if (state === 'loading') {
+    const spinner = document.createElement('div');
+    spinner.className = 'museum-status-spinner';
+    spinner.setAttribute('aria-hidden', 'true');
+    status.appendChild(spinner);
+  }
+
+  const text = document.createElement('p');
+  text.className = 'museum-status-message';
+  text.textContent = message;
+  status.appendChild(text);
+
+  if (onRetry) {
+    const retryBtn = document.createElement('button');
+    retryBtn.className = 'museum-status-retry';
+    retryBtn.textContent = 'Try again';
+    retryBtn.addEventListener('click', onRetry);
+    status.appendChild(retryBtn);
+  }
+
+  return status;
+}
+
+/**
+ * Remove the loading/error status from the museum container
+ * @param {HTMLElement} container - The museum space container
+ */
+function clearMuseumStatus(container) {
+  const status = container.querySelector('.museum-status');
+  if (status) {
+    status.remove();
+  }
+}
+
+/**
+ * Create a link that opens outside the museum in a new tab
+ * @param {String} label - Link text
+ * @param {String} url - Link target
+ * @param {String} className - Optional class name
+ * @returns {HTMLAnchorElement} The link element
+ */
+function createExternalLink(label, url, className) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.textContent = label;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  if (className) {
+    link.className = className;
+  }
+  return link;
+}
+
+/**
+ * Append inline markdown (**bold**, *italic*, `code`, [label](url)) to an element
+ * Builds DOM nodes instead of HTML so card text can never inject markup
+ * @param {HTMLElement} parent - Element to append to
+ * @param {String} text - Inline markdown text
+ */
+function appendInlineMarkdown(parent, text) {
+  const pattern = /\*\*([^*]+)\*\*|\*([^*]+)\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+    }
+    
+    if (match[1] !== undefined) {
+      const strong = document.createElement('strong');
+      strong.textContent = match[1];
+      parent.appendChild(strong);
+    } else if (match[2] !== undefined) {
+      const em = document.createElement('em');
+      em.textContent = match[2];
+      parent.appendChild(em);
+    } else if (match[3] !== undefined) {
+      const code = document.createElement('code');
+      code.textContent = match[3];
+      parent.appendChild(code);
+    } else if (/^(https?:\/\/|mailto:)/i.test(match[5])) {
+      parent.appendChild(createExternalLink(match[4], match[5]));
+    } else {
+      // Unsafe link targets (javascript:, relative paths) are shown as plain text
+      parent.appendChild(document.createTextNode(match[4]));
+    }
+    
+    lastIndex = pattern.lastIndex;
+  }
+  
+  if (lastIndex < text.length) {
+    parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+  }
+}
+
+/**
+ * Render a small markdown subset for hall text cards
+ * Supports # headings, - / * bullet lists, blank-line separated paragraphs
+ * and the inline syntax handled by appendInlineMarkdown
+ * @param {String} text - Markdown text
+ * @returns {DocumentFragment} Rendered content
+ */
+function renderRichText(text) {
+  const fragment = document.createDocumentFragment();
+  let paragraph = null;
+  let list = null;
+  
+  (text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const bullet = line.match(/^[-*]\s+(.*)$/);
+    
+    if (line === '') {
+      paragraph = null;
+      list = null;
+    } else if (heading) {
+      paragraph = null;
+      list = null;
+      // Card titles are h3, so markdown headings start one level below
+      const element = document.createElement(`h${heading[1].length + 3}`);
+      appendInlineMarkdown(element, heading[2]);
+      fragment.appendChild(element);
+    } else if (bullet) {
+      paragraph = null;
+      if (!list) {
+        list = document.createElement('ul');
+        fragment.appendChild(list);
+      }
+      const item = document.createElement('li');
+      appendInlineMarkdown(item, bullet[1]);
+      list.appendChild(item);
+    } else {
+      list = null;
+      if (paragraph) {
+        paragraph.appendChild(document.createTextNode(' '));
+      } else {
+        paragraph = document.createElement('p');
+        fragment.appendChild(paragraph);
+      }
+      appendInlineMarkdown(paragraph, line);
+    }
+  });
+  
+  return fragment;
+}
+
+/**
+ * Normalize text for search matching (case and accent insensitive)
+ * @param {String} text - Text to normalize
+ * @returns {String} Normalized text
+ */
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase();
+}
+
+/**
+ * Score how well a portfolio item matches a search query
+ * Every word of the query must appear in the title, a tag or the description.
+ * Title matches weigh most, then tags, then the description.
+ * @param {Object} item - Portfolio item
+ * @param {String} query - Search query
+ * @returns {Number} Match score (0 if the item does not match)
+ */
+function getSearchScore(item, query) {
+  const terms = normalizeSearchText(query).split(/\s+/).filter(term => term !== '');
+  if (terms.length === 0) return 0;
+  
+  const title = normalizeSearchText(item.title);
+  const tags = (item.tags || []).map(normalizeSearchText);
+  const description = normalizeSearchText(item.description);
+  
+  let score = 0;
+  
+  for (const term of terms) {
+    let termScore = 0;
+    
+    if (title.startsWith(term)) {
+      termScore = 5;
+    } else if (title.includes(term)) {
+      termScore = 4;
+    } else if (tags.includes(term)) {
+      termScore = 3;
+    } else if (tags.some(tag => tag.includes(term))) {
+      termScore = 2;
+    } else if (description.includes(term)) {
+      termScore = 1;
+    }
+    
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+  
+  return score;
+}
+
+/**
+ * Show only the 2D fallback grid items that match a search query
+ * @param {HTMLElement} container - The museum space container
+ * @param {Array} portfolioData - Portfolio items data (as passed to create2DFallback)
+ * @param {String} query - Search query (empty shows every item)
+ * @returns {Number} Number of visible items
+ */
+function filter2DFallback(container, portfolioData, query) {
+  const isFiltering = query.trim() !== '';
+  let matchCount = 0;
+  
+  container.querySelectorAll('.fallback-item').forEach(gridItem => {
+    const item = portfolioData[parseInt(gridItem.getAttribute('data-index'))];
+    const matches = !isFiltering || (item && getSearchScore(item, query) > 0);
+    
+    gridItem.hidden = !matches;
+    if (matches) {
+      matchCount++;
+    }
+  });
+  
+  return matchCount;
+}
+
+// Longest frame the cameras simulate in one step (ms), so a background tab or
+// a debugger pause doesn't make them jump when the loop resumes
+const MAX_FRAME_DELTA = 100;
+
+/**
+ * Get the time to simulate since the previous frame
+ * @param {Number} now - Current time in ms
+ * @param {Number|null} lastTime - Time of the previous frame in ms, null on the first frame
+ * @returns {Number} Elapsed time in ms, between 0 and MAX_FRAME_DELTA
+ */
+function getFrameDelta(now, lastTime) {
+  if (lastTime === null) return 0;
+  return Math.max(0, Math.min(MAX_FRAME_DELTA, now - lastTime));
+}
+
+/**
+ * Ease a value towards a target with exponential damping
+ * The result depends only on the elapsed time, not on how many frames it is
+ * split into, so easing feels the same at 30, 60 or 144Hz
+ * @param {Number} current - Current value
+ * @param {Number} target - Value to ease towards
+ * @param {Number} rate - Damping rate per second (higher is snappier)
+ * @param {Number} deltaTime - Elapsed time in ms
+ * @returns {Number} Eased value
+ */
+function damp(current, target, rate, deltaTime) {
+  return target + (current - target) * Math.exp(-rate * deltaTime / 1000);
+}
+
+/**
+ * Turn a seed into a 32-bit integer (FNV-1a hash of its text)
+ * @param {Number|String} seed - Seed value
+ * @returns {Number} Unsigned 32-bit integer
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence
+ * @param {Number|String} seed - Seed value
+ * @returns {Function} Generator returning numbers in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+  
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seed used when neither the page config nor the URL sets one
+const DEFAULT_SCENE_SEED = 'museum';
+
+/**
+ * Get the seed for generated layouts and colors
+ * A `?seed=` URL parameter wins, so any view can be reproduced from a link
+ * @param {Number|String} configSeed - Seed from the page config, if any
+ * @returns {Number|String} Scene seed
+ */
+function getSceneSeed(configSeed) {
+  const urlSeed = typeof window !== 'undefined' && window.location
+    ? new URLSearchParams(window.location.search).get('seed')
+    : null;
+  
+  if (urlSeed) return urlSeed;
+  return configSeed !== undefined && configSeed !== null ? configSeed : DEFAULT_SCENE_SEED;
+}
+
 /**
  * Generate a random vibrant color
+ * @param {Function} random - Random number generator returning [0, 1) (defaults to Math.random)
  * @returns {String} HSL color string
  */
-function generateRandomColor() {
-  const hue = Math.floor(Math.random() * 360);
-  const saturation = 70 + Math.floor(Math.random() * 20);
-  const lightness = 50 + Math.floor(Math.random() * 20);
+function generateRandomColor(random = Math.random) {
+  const hue = Math.floor(random() * 360);
+  const saturation = 70 + Math.floor(random() * 20); // 70-90%
+  const lightness = 50 + Math.floor(random() * 20); // 50-70%
   return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
 }
 
+/**
+ * Get an item's color, generating a stable one if the data has none
+ * Each item gets its own generator, so its color doesn't change when items are
+ * added, removed or reordered
+ * @param {Object} item - Portfolio item
+ * @param {Number|String} seed - Scene seed
+ * @returns {String} CSS color
+ */
+function getItemColor(item, seed) {
+  return item.color || generateRandomColor(createSeededRandom(`${seed}:color:${item.id}`));
+}
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -227,8 +589,24 @@ if (typeof module !== 'undefined' && module.exports) {
     detectDeviceCapabilities,
     getOptimalBubbleCount,
     getBubbleSizeScale,
+    getItemScale,
     applyPerformanceOptimizations,
     create2DFallback,
-    generateRandomColor
+    showMuseumStatus,
+    clearMuseumStatus,
+    createExternalLink,
+    renderRichText,
+    normalizeSearchText,
+    getSearchScore,
+    filter2DFallback,
+    MAX_FRAME_DELTA,
+    getFrameDelta,
+    damp,
+    hashSeed,
+    createSeededRandom,
+    DEFAULT_SCENE_SEED,
+    getSceneSeed,
+    generateRandomColor,
+    getItemColor
   };
 }
@@ -0,0 +1,506 @@
+#!/usr/bin/env node
+/**
+ * Asset Manifest Generator
+ * Walks assets/portfolios/{folder}/{card}/ and writes the manifest.json each
+ * Memory Hall reads, so curators can drop files into card folders and run one
+ * command instead of renaming everything to 1.jpg.
+ *
+ * Usage:
+ *   node scripts/generate-asset-manifests.js [--check] [--max-size=<MB>] [--root=<dir>]
+ *
+ * Options:
+ *   --check          Report problems without writing any manifest
+ *   --max-size=<MB>  Flag media files larger than this (default 5)
+ *   --root=<dir>     Project root containing data/ and assets/ (default: repo root)
+ *
+ * Existing alt, caption and order values are kept when a manifest is regenerated.
+ * Exits with code 1 if anything the viewer would reject was found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  PORTFOLIO_MANIFEST_URL,
+  ASSET_MANIFEST_FILENAME,
+  getManifestPortfolios,
+  getPortfolioCards,
+  getCardType,
+  validatePortfolioData,
+  validateAssetManifest
+} = require('../js/config.js');
+
+// Media types by file extension
+const MEDIA_EXTENSIONS = {
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.png': 'image',
+  '.gif': 'image',
+  '.webp': 'image',
+  '.mp4': 'video',
+  '.m4v': 'video',
+  '.mov': 'video',
+  '.webm': 'video'
+};
+
+// Card folder that feeds the shooting stars instead of a hall card
+const BACKGROUND_FOLDER = 'background';
+
+// Files the operating system or editors leave behind
+const IGNORED_FILES = new Set(['.DS_Store', 'Thumbs.db', 'desktop.ini', ASSET_MANIFEST_FILENAME]);
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    check: false,
+    maxSizeBytes: 5 * 1024 * 1024,
+    root: path.resolve(__dirname, '..')
+  };
+  
+  argv.forEach(arg => {
+    if (arg === '--check') {
+      options.check = true;
+    } else if (arg.startsWith('--max-size=')) {
+      const megabytes = parseFloat(arg.slice('--max-size='.length));
+      if (!(megabytes > 0)) {
+        throw new Error(`Invalid --max-size value: ${arg}`);
+      }
+      options.maxSizeBytes = megabytes * 1024 * 1024;
+    } else if (arg.startsWith('--root=')) {
+      options.root = path.resolve(arg.slice('--root='.length));
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  });
+  
+  return options;
+}
+
+/**
+ * Detect the media type of a file from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { type, format } or null if not a supported media file
+ */
+function detectMediaType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { type: 'image', format: 'png' };
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { type: 'image', format: 'jpeg' };
+  }
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { type: 'image', format: 'gif' };
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { type: 'image', format: 'webp' };
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    return { type: 'video', format: brand === 'qt  ' ? 'mov' : 'mp4' };
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return { type: 'video', format: 'webm' };
+  }
+  
+  return null;
+}
+
+/**
+ * Read pixel dimensions from an image header
+ * @param {Buffer} buffer - File contents
+ * @param {String} format - Format from detectMediaType()
+ * @returns {Object|null} { width, height } or null if they can't be read
+ */
+function readImageSize(buffer, format) {
+  if (format === 'png' && buffer.length >= 24) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  
+  if (format === 'gif' && buffer.length >= 10) {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  
+  if (format === 'jpeg') {
+    // Walk the segment markers until a start-of-frame segment
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf &&
+        marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+  
+  if (format === 'webp' && buffer.length >= 30) {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Inspect a single media file
+ * @param {String} filePath - Absolute file path
+ * @returns {Object} { size, type, width, height } or { error }
+ */
+function inspectMediaFile(filePath) {
+  const size = fs.statSync(filePath).size;
+  const buffer = fs.readFileSync(filePath);
+  const detected = detectMediaType(buffer);
+  const extensionType = MEDIA_EXTENSIONS[path.extname(filePath).toLowerCase()];
+  
+  if (!detected) {
+    return { size, error: 'not a supported image or video file' };
+  }
+  
+  if (extensionType && extensionType !== detected.type) {
+    return { size, error: `extension says ${extensionType} but contents are ${detected.format}` };
+  }
+  
+  const info = { size, type: detected.type };
+  
+  if (detected.type === 'image') {
+    const dimensions = readImageSize(buffer, detected.format);
+    if (dimensions) {
+      info.width = dimensions.width;
+      info.height = dimensions.height;
+    }
+  }
+  
+  return info;
+}
+
+/**
+ * Read and parse a JSON file, returning null if it does not exist
+ * @param {String} filePath - Absolute file path
+ * @returns {*} Parsed JSON or null
+ */
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * List directory entries, sorted naturally (2.jpg before 10.jpg)
+ * @param {String} dirPath - Directory to list
+ * @returns {Array<fs.Dirent>} Entries
+ */
+function listDir(dirPath) {
+  return fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(entry => !IGNORED_FILES.has(entry.name))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+/**
+ * Build the manifest for one portfolio folder
+ * @param {String} folderPath - Absolute path to assets/portfolios/{folder}
+ * @param {Object|null} item - Portfolio item using this folder (null if none)
+ * @param {Object|null} previous - Existing manifest, to keep curator-entered fields
+ * @param {Object} options - CLI options
+ * @param {Object} report - Collects errors and warnings
+ * @returns {Object} Asset manifest
+ */
+function buildFolderManifest(folderPath, item, previous, options, report) {
+  const folder = path.basename(folderPath);
+  const cards = getPortfolioCards(item);
+  const knownCards = new Set(cards.map(card => card.id));
+  knownCards.add(BACKGROUND_FOLDER);
+  
+  // PDF cards keep their document next to the media instead of in the manifest
+  const documentFiles = new Map();
+  cards.forEach(card => {
+    if (getCardType(card) === 'pdf' && card.file) {
+      documentFiles.set(card.id, card.file);
+    }
+  });
+  const foundDocuments = new Set();
+  
+  const media = {};
+  
+  listDir(folderPath).forEach(entry => {
+    const location = `${folder}/${entry.name}`;
+    
+    if (!entry.isDirectory()) {
+      report.warn(`${location}: file at portfolio root is never shown (move it into a card folder)`);
+      return;
+    }
+    
+    if (!knownCards.has(entry.name)) {
+      report.error(`${location}/: unknown card folder (expected one of ${Array.from(knownCards).join(', ')})`);
+      return;
+    }
+    
+    const previousEntries = previous && previous.media && Array.isArray(previous.media[entry.name])
+      ? previous.media[entry.name]
+      : [];
+    const previousByFile = new Map(previousEntries.map(prev => [prev.file, prev]));
+    let nextOrder = previousEntries.reduce((max, prev) => Math.max(max, prev.order || 0), 0);
+    
+    const entries = [];
+    
+    listDir(path.join(folderPath, entry.name)).forEach(file => {
+      const fileLocation = `${location}/${file.name}`;
+      
+      if (!file.isFile()) {
+        report.warn(`${fileLocation}: nested folders are not supported`);
+        return;
+      }
+      
+      if (documentFiles.get(entry.name) === file.name) {
+        foundDocuments.add(entry.name);
+        const size = fs.statSync(path.join(folderPath, entry.name, file.name)).size;
+        if (size > options.maxSizeBytes) {
+          report.error(`${fileLocation}: ${formatSize(size)} is larger than the ${formatSize(options.maxSizeBytes)} limit`);
+        }
+        return;
+      }
+      
+      const info = inspectMediaFile(path.join(folderPath, entry.name, file.name));
+      
+      if (info.error) {
+        report.error(`${fileLocation}: ${info.error}`);
+        return;
+      }
+      
+      if (info.size > options.maxSizeBytes) {
+        report.error(`${fileLocation}: ${formatSize(info.size)} is larger than the ${formatSize(options.maxSizeBytes)} limit`);
+      }
+      
+      const prev = previousByFile.get(file.name) || {};
+      const manifestEntry = {
+        file: file.name,
+        type: info.type,
+        order: prev.order !== undefined ? prev.order : ++nextOrder
+      };
+      
+      if (info.width !== undefined) {
+        manifestEntry.width = info.width;
+        manifestEntry.height = info.height;
+      }
+      manifestEntry.size = info.size;
+      
+      if (prev.alt !== undefined) manifestEntry.alt = prev.alt;
+      if (prev.caption !== undefined) manifestEntry.caption = prev.caption;
+      
+      entries.push(manifestEntry);
+    });
+    
+    previousEntries.forEach(prev => {
+      if (!entries.some(current => current.file === prev.file)) {
+        report.warn(`${location}/${prev.file}: listed in the old manifest but no longer on disk (dropped)`);
+      }
+    });
+    
+    if (entries.length === 0 && entry.name !== BACKGROUND_FOLDER && !foundDocuments.has(entry.name)) {
+      report.warn(`${location}/: card folder is empty`);
+    }
+    
+    media[entry.name] = entries;
+  });
+  
+  documentFiles.forEach((file, cardId) => {
+    if (!foundDocuments.has(cardId)) {
+      report.error(`${folder}/${cardId}/${file}: PDF declared by card "${cardId}" is missing`);
+    }
+  });
+  
+  const manifest = { version: 1, media: media };
+  
+  const validation = validateAssetManifest(manifest);
+  validation.errors.forEach(message => report.error(`${folder}/${ASSET_MANIFEST_FILENAME}: ${message}`));
+  
+  return manifest;
+}
+
+/**
+ * Format a byte count for messages
+ * @param {Number} bytes - Size in bytes
+ * @returns {String} Human readable size
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Create a collector for errors and warnings
+ * @returns {Object} Report with error(), warn() and the collected messages
+ */
+function createReport() {
+  const report = { errors: [], warnings: [] };
+  report.error = message => report.errors.push(message);
+  report.warn = message => report.warnings.push(message);
+  return report;
+}
+
+/**
+ * Generate (or check) every portfolio asset manifest
+ * @param {Object} options - CLI options
+ * @returns {Object} Report with errors, warnings and written manifest paths
+ */
+function generateAssetManifests(options) {
+  const report = createReport();
+  report.written = [];
+  
+  const portfoliosPath = path.join(options.root, PORTFOLIO_MANIFEST_URL);
+  const portfoliosRoot = path.join(options.root, 'assets', 'portfolios');
+  
+  // Validate the portfolio manifest itself
+  let portfolios = [];
+  let portfolioManifest = null;
+  try {
+    portfolioManifest = readJson(portfoliosPath);
+    if (!portfolioManifest) {
+      report.error(`${PORTFOLIO_MANIFEST_URL}: not found`);
+    }
+  } catch (error) {
+    report.error(`${PORTFOLIO_MANIFEST_URL}: could not be read (${error.message})`);
+  }
+  
+  if (portfolioManifest) {
+    portfolios = getManifestPortfolios(portfolioManifest) || [];
+    const validation = validatePortfolioData(getManifestPortfolios(portfolioManifest));
+    validation.errors.forEach(message => report.error(`${PORTFOLIO_MANIFEST_URL}: ${message}`));
+  }
+  
+  // Check every bubble image in assets/images/ exists and is a real image
+  portfolios.forEach(item => {
+    if (!item || !item.image) return;
+    
+    const imagePath = path.join(options.root, item.image);
+    if (!fs.existsSync(imagePath)) {
+      report.error(`${item.image}: bubble image for "${item.title}" is missing`);
+      return;
+    }
+    
+    const info = inspectMediaFile(imagePath);
+    if (info.error || info.type !== 'image') {
+      report.error(`${item.image}: bubble image for "${item.title}" is ${info.error || 'not an image'}`);
+    } else if (info.size > options.maxSizeBytes) {
+      report.error(`${item.image}: ${formatSize(info.size)} is larger than the ${formatSize(options.maxSizeBytes)} limit`);
+    }
+  });
+  
+  // Map folders to their portfolio items
+  const itemsByFolder = new Map();
+  portfolios.forEach(item => {
+    if (item && item.id !== undefined) {
+      itemsByFolder.set(String(item.folder || item.id), item);
+    }
+  });
+  
+  if (!fs.existsSync(portfoliosRoot)) {
+    report.error('assets/portfolios/: not found');
+    return report;
+  }
+  
+  const folders = listDir(portfoliosRoot).filter(entry => entry.isDirectory()).map(entry => entry.name);
+  
+  itemsByFolder.forEach((item, folder) => {
+    if (!folders.includes(folder)) {
+      report.warn(`${folder}/: no asset folder for "${item.title}" (its Memory Hall will be empty)`);
+    }
+  });
+  
+  folders.forEach(folder => {
+    const folderPath = path.join(portfoliosRoot, folder);
+    const manifestPath = path.join(folderPath, ASSET_MANIFEST_FILENAME);
+    const item = itemsByFolder.get(folder) || null;
+    
+    if (!item) {
+      report.warn(`${folder}/: not used by any portfolio in ${PORTFOLIO_MANIFEST_URL}`);
+    }
+    
+    let previous = null;
+    try {
+      previous = readJson(manifestPath);
+    } catch (error) {
+      report.warn(`${folder}/${ASSET_MANIFEST_FILENAME}: could not be parsed, regenerating from scratch`);
+    }
+    
+    const manifest = buildFolderManifest(folderPath, item, previous, options, report);
+    const output = JSON.stringify(manifest, null, 2) + '\n';
+    
+    if (options.check) {
+      if (!fs.existsSync(manifestPath) || fs.readFileSync(manifestPath, 'utf8') !== output) {
+        report.error(`${folder}/${ASSET_MANIFEST_FILENAME}: out of date (run without --check to update)`);
+      }
+    } else {
+      fs.writeFileSync(manifestPath, output);
+      report.written.push(path.relative(options.root, manifestPath));
+    }
+  });
+  
+  return report;
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+    return;
+  }
+  
+  if (options.help) {
+    console.log('Usage: node scripts/generate-asset-manifests.js [--check] [--max-size=<MB>] [--root=<dir>]');
+    return;
+  }
+  
+  const report = generateAssetManifests(options);
+  
+  report.written.forEach(file => console.log(`wrote ${file}`));
+  report.warnings.forEach(message => console.warn(`warning: ${message}`));
+  report.errors.forEach(message => console.error(`error: ${message}`));
+  
+  console.log(`${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+  
+  if (report.errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  detectMediaType,
+  readImageSize,
+  inspectMediaFile,
+  buildFolderManifest,
+  generateAssetManifests
+};
@@ -0,0 +1,117 @@
+/**
+ * Frame timing tests: damp() and CameraController driven by a fake clock
+ * Run with: node test/CameraController.test.js (or node --test test/)
+ */
+
+const assert = require('assert');
+const { MAX_FRAME_DELTA, getFrameDelta, damp } = require('../js/utils.js');
+
+// CameraController expects the page's globals
+Object.assign(globalThis, { getFrameDelta, damp });
+globalThis.window = {
+  matchMedia: () => ({ matches: false }),
+  addEventListener: () => {},
+  removeEventListener: () => {}
+};
+const CameraController = require('../js/CameraController.js');
+
+const container = { offsetWidth: 1280, offsetHeight: 800, addEventListener: () => {}, removeEventListener: () => {} };
+
+function near(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Run a camera for a while at a given frame rate
+ * @param {Number} fps - Frames per second
+ * @param {Number} duration - Time to run in ms
+ * @param {Function} setup - Called with the camera before the first frame
+ * @returns {Object} Final camera state
+ */
+function runCamera(fps, duration, setup) {
+  let now = 0;
+  const camera = new CameraController(container, null, { clock: () => now });
+  camera.update(); // First frame only starts the clock
+
+  setup(camera);
+
+  let state = null;
+  const frames = Math.round((duration / 1000) * fps);
+  for (let i = 1; i <= frames; i++) {
+    now = (i * 1000) / fps;
+    state = camera.update();
+  }
+  return state;
+}
+
+// getFrameDelta: nothing before the first frame, clamped after a long pause
+{
+  assert.strictEqual(getFrameDelta(500, null), 0);
+  assert.strictEqual(getFrameDelta(516, 500), 16);
+  assert.strictEqual(getFrameDelta(10000, 500), MAX_FRAME_DELTA);
+  assert.strictEqual(getFrameDelta(400, 500), 0, 'a clock going backwards must not reverse easing');
+}
+
+// damp: no time, no movement; closes the gap without overshooting
+{
+  assert.strictEqual(damp(0, 100, 6, 0), 0);
+
+  let value = 0;
+  for (let i = 0; i < 600; i++) {
+    value = damp(value, 100, 6, 16);
+    assert.ok(value <= 100, 'damp overshot its target');
+  }
+  near(value, 100, 'damp converges');
+}
+
+// damp: the same elapsed time gives the same result however it is split
+{
+  let at30 = 0;
+  let at144 = 0;
+  for (let i = 0; i < 30; i++) at30 = damp(at30, 100, 6.3, 1000 / 30);
+  for (let i = 0; i < 144; i++) at144 = damp(at144, 100, 6.3, 1000 / 144);
+
+  near(at30, at144, 'damp at 30Hz vs 144Hz');
+  near(at30, damp(0, 100, 6.3, 1000), 'damp in one step');
+}
+
+// CameraController: easing after rotateBy/zoomBy ends in the same place at any frame rate
+{
+  const steer = camera => {
+    camera.rotateBy(20, -90);
+    camera.zoomBy(0.5);
+  };
+  const at30 = runCamera(30, 500, steer);
+  const at60 = runCamera(60, 500, steer);
+  const at144 = runCamera(144, 500, steer);
+
+  [at60, at144].forEach(state => {
+    near(state.rotation.x, at30.rotation.x, 'rotation.x');
+    near(state.rotation.y, at30.rotation.y, 'rotation.y');
+    near(state.zoom, at30.zoom, 'zoom');
+  });
+  assert.ok(at30.rotation.y < 40 && at30.rotation.y > -50, 'halfway through easing after 0.5s');
+}
+
+// CameraController: a fly-to lands exactly on its target when its duration is up
+{
+  const target = { x: 10, y: -30 };
+  const state = runCamera(60, 1000, camera => camera.flyTo(target, 1.5, 600));
+
+  assert.deepStrictEqual(state.rotation, target);
+  assert.strictEqual(state.zoom, 1.5);
+}
+
+// CameraController: a frame after a long pause (e.g. a background tab) is clamped
+{
+  let now = 0;
+  const camera = new CameraController(container, null, { clock: () => now });
+  camera.update();
+  camera.rotateBy(0, 100);
+
+  now = 60000;
+  const state = camera.update();
+  near(state.rotation.y, damp(40, 140, camera.DAMPING, MAX_FRAME_DELTA), 'clamped step');
+}
+
+console.log('CameraController tests passed');
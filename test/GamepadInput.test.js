@@ -0,0 +1,106 @@
+/**
+ * GamepadInput tests, against a stubbed navigator.getGamepads()
+ * Run with: node test/GamepadInput.test.js (or node --test test/)
+ */
+
+const assert = require('assert');
+const GamepadInput = require('../js/GamepadInput.js');
+
+// Stand-in for the Gamepad API: one pad whose buttons and axes the tests set
+const pad = {
+  connected: true,
+  axes: [0, 0, 0, 0],
+  buttons: Array.from({ length: 16 }, () => ({ pressed: false }))
+};
+let gamepads = [pad];
+
+Object.defineProperty(globalThis, 'navigator', {
+  value: { getGamepads: () => gamepads },
+  configurable: true,
+  writable: true
+});
+
+function press(index, pressed) {
+  pad.buttons[index].pressed = pressed;
+}
+
+// Stick movement inside the dead-zone is ignored
+{
+  const input = new GamepadInput();
+  pad.axes = [0.1, -0.15, 0, 0];
+
+  const state = input.poll();
+  assert.deepStrictEqual(state.move, { x: 0, y: 0 });
+  assert.strictEqual(state.active, false);
+}
+
+// Outside the dead-zone the rest of the range is rescaled to 0-1
+{
+  const input = new GamepadInput();
+  pad.axes = [1, 0, 0, 0];
+  assert.strictEqual(input.poll().move.x, 1);
+
+  pad.axes = [0.6, 0, 0, 0];
+  const state = input.poll();
+  assert.ok(Math.abs(state.move.x - 0.5) < 1e-9, `expected 0.5, got ${state.move.x}`);
+  assert.strictEqual(state.active, true);
+  pad.axes = [0, 0, 0, 0];
+}
+
+// A press is reported on the first poll only, and held until released
+{
+  const input = new GamepadInput();
+  press(1, true);
+
+  const first = input.poll();
+  assert.strictEqual(first.pressed.back, true);
+  assert.strictEqual(first.held.back, true);
+
+  const second = input.poll();
+  assert.strictEqual(second.pressed.back, false);
+  assert.strictEqual(second.held.back, true);
+
+  press(1, false);
+  assert.strictEqual(input.poll().held.back, false);
+
+  press(1, true);
+  assert.strictEqual(input.poll().pressed.back, true, 'pressing again is a new press');
+  press(1, false);
+}
+
+// Owners sharing one instance see a press once; the other reads the last state
+{
+  const shared = new GamepadInput();
+  press(1, true);
+
+  const hall = shared.poll();
+  const museum = shared.poll();
+  assert.strictEqual(hall.pressed.back, true);
+  assert.strictEqual(museum.pressed.back, false, 'the museum must not see the hall\'s press again');
+  assert.strictEqual(shared.state, museum);
+  press(1, false);
+}
+
+// Custom bindings are merged over the defaults
+{
+  const input = new GamepadInput({ buttons: { openHall: [2] } });
+  press(2, true);
+
+  const state = input.poll();
+  assert.strictEqual(state.pressed.openHall, true);
+  assert.deepStrictEqual(input.buttons.select, GamepadInput.DEFAULT_BINDINGS.buttons.select);
+  press(2, false);
+}
+
+// No connected gamepad reads as an idle, disconnected state
+{
+  gamepads = [null, Object.assign({}, pad, { connected: false })];
+  const state = new GamepadInput().poll();
+
+  assert.strictEqual(state.connected, false);
+  assert.strictEqual(state.active, false);
+  assert.deepStrictEqual(state.look, { x: 0, y: 0 });
+  gamepads = [pad];
+}
+
+console.log('GamepadInput tests passed');
@@ -0,0 +1,94 @@
+/**
+ * Bubble layout tests: featured items are pinned to the front of the starting view
+ * Run with: node test/bubbleLayouts.test.js (or node --test test/)
+ */
+
+const assert = require('assert');
+const { createSeededRandom } = require('../js/utils.js');
+
+// bubbleLayouts.js uses the generator as a page global
+globalThis.createSeededRandom = createSeededRandom;
+const { BUBBLE_LAYOUTS, getViewDepth, pinFeaturedToFront } = require('../js/bubbleLayouts.js');
+const CameraController = require('../js/CameraController.js');
+
+const rotation = CameraController.DEFAULT_ROTATION;
+const layoutOptions = () => ({ radius: 500, jitter: 50, random: createSeededRandom('museum:layout') });
+
+function makeItems(count, featured, category) {
+  return Array.from({ length: count }, (item, index) => ({
+    id: index + 1,
+    featured: featured.includes(index),
+    category: category ? category(index) : undefined
+  }));
+}
+
+/**
+ * Check the featured items hold the front-most positions among some indices
+ * (ties, like a helix column, may go either way)
+ * @param {Array} items - Portfolio items
+ * @param {Array} positions - Pinned positions
+ * @param {Array} indices - Indices competing for the front
+ */
+function assertFeaturedInFront(items, positions, indices) {
+  const depth = index => getViewDepth(positions[index], rotation);
+  const featured = indices.filter(index => items[index].featured).map(depth);
+  const others = indices.filter(index => !items[index].featured).map(depth);
+
+  assert.ok(Math.min(...featured) >= Math.max(...others) - 1e-9,
+    `featured depths ${featured.map(Math.round)} should all be in front of ${Math.round(Math.max(...others))}`);
+}
+
+// The starting view is turned, so the front isn't simply the largest raw z
+{
+  assert.notDeepStrictEqual(rotation, { x: 0, y: 0 });
+  const turned = getViewDepth({ x: 100, y: 0, z: 0 }, { x: 0, y: 90 });
+  assert.ok(Math.abs(turned - 100) < 1e-9, `a quarter turn brings +x to the front, got ${turned}`);
+}
+
+// Featured items land front-most at the starting rotation, for every layout
+['sphere', 'seededSphere', 'helix', 'ring', 'grid'].forEach(name => {
+  const items = makeItems(14, [1, 6, 11]);
+  const positions = BUBBLE_LAYOUTS[name](items, layoutOptions());
+  const pinned = pinFeaturedToFront(items, positions, rotation, false);
+
+  assertFeaturedInFront(items, pinned, items.map((item, index) => index));
+
+  // Same set of positions, just reassigned
+  const key = position => `${position.x},${position.y},${position.z}`;
+  assert.deepStrictEqual(pinned.map(key).sort(), positions.map(key).sort(), `${name} lost a position`);
+});
+
+// Items that aren't displaced keep their place
+{
+  const items = makeItems(14, [5]);
+  const positions = BUBBLE_LAYOUTS.sphere(items, layoutOptions());
+  const pinned = pinFeaturedToFront(items, positions, rotation, false);
+  const moved = pinned.map((position, index) => position !== positions[index]).filter(Boolean).length;
+
+  assert.ok(moved === 0 || moved === 2, `expected at most one swap, ${moved} items moved`);
+}
+
+// Clusters only swap within a category, so each cluster stays together
+{
+  const items = makeItems(12, [0, 7], index => (index % 3 === 0 ? 'Art' : 'Code'));
+  const positions = BUBBLE_LAYOUTS.clusters(items, layoutOptions());
+  const pinned = pinFeaturedToFront(items, positions, rotation, true);
+
+  ['Art', 'Code'].forEach(category => {
+    const indices = items.map((item, index) => index).filter(index => items[index].category === category);
+    const key = position => `${position.x},${position.y},${position.z}`;
+
+    assert.deepStrictEqual(indices.map(index => key(pinned[index])).sort(),
+      indices.map(index => key(positions[index])).sort(), `${category} cluster was broken up`);
+    assertFeaturedInFront(items, pinned, indices);
+  });
+}
+
+// No featured items, nothing changes
+{
+  const items = makeItems(8, []);
+  const positions = BUBBLE_LAYOUTS.ring(items, layoutOptions());
+  assert.deepStrictEqual(pinFeaturedToFront(items, positions, rotation, false), positions);
+}
+
+console.log('bubbleLayouts tests passed');
@@ -0,0 +1,100 @@
+/**
+ * Bubble projection and hit-testing tests (no DOM needed)
+ * Run with: node test/bubbleProjection.test.js (or node --test test/)
+ */
+
+const assert = require('assert');
+const {
+  BUBBLE_HIT_TOLERANCE,
+  BUBBLE_STATE_SCALES,
+  getBubbleScale,
+  projectBubble,
+  findBubbleAtPoint
+} = require('../js/bubbleProjection.js');
+
+const viewport = { centerX: 640, centerY: 400, perspective: 1000 };
+
+function near(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// Perspective: nothing changes on the screen plane, nearer is bigger and further out
+{
+  const flat = projectBubble({ x: 100, y: -50, z: 0 }, 60, viewport);
+  assert.deepStrictEqual(flat, { x: 740, y: 350, radius: 60, depth: 0 });
+
+  // Halfway to the eye doubles size and distance from the center
+  const near500 = projectBubble({ x: 100, y: -50, z: 500 }, 60, viewport);
+  near(near500.x, 840, 'near x');
+  near(near500.y, 300, 'near y');
+  near(near500.radius, 120, 'near radius');
+
+  // As far behind the plane as the perspective halves them
+  const far = projectBubble({ x: 100, y: -50, z: -1000 }, 60, viewport);
+  near(far.x, 690, 'far x');
+  near(far.radius, 30, 'far radius');
+  assert.strictEqual(far.depth, -1000);
+}
+
+// Bubbles at or behind the eye aren't drawn, so can't be hit
+{
+  assert.strictEqual(projectBubble({ x: 0, y: 0, z: 1000 }, 60, viewport), null);
+  assert.strictEqual(projectBubble({ x: 0, y: 0, z: 1500 }, 60, viewport), null);
+}
+
+// Overlap: the front-most bubble under the point wins, even if another's center is closer
+{
+  const back = { x: 100, y: 100, radius: 60, depth: -200 };
+  const front = { x: 140, y: 100, radius: 60, depth: 300 };
+
+  assert.strictEqual(findBubbleAtPoint(105, 100, [back, front]), 1);
+  assert.strictEqual(findBubbleAtPoint(105, 100, [front, back]), 0, 'order of the list does not matter');
+
+  // Only the back bubble covers this point
+  assert.strictEqual(findBubbleAtPoint(45, 100, [back, front]), 0);
+}
+
+// Points outside every circle: within the tolerance the nearest edge wins, beyond it nothing
+{
+  const left = { x: 0, y: 0, radius: 50, depth: 500 };
+  const right = { x: 200, y: 0, radius: 50, depth: 0 };
+
+  assert.strictEqual(findBubbleAtPoint(100, 0, [left, right]), -1);
+  assert.strictEqual(findBubbleAtPoint(0, 50 + BUBBLE_HIT_TOLERANCE + 1, [left, right]), -1);
+  assert.strictEqual(findBubbleAtPoint(0, 50 + BUBBLE_HIT_TOLERANCE, [left, right]), 0);
+  assert.strictEqual(findBubbleAtPoint(145, 0, [left, right]), 1, 'nearest edge, not the front-most');
+  assert.strictEqual(findBubbleAtPoint(145, 0, [left, right], 0), -1, 'tolerance can be turned off');
+  assert.strictEqual(findBubbleAtPoint(0, 0, []), -1);
+  assert.strictEqual(findBubbleAtPoint(0, 0, [null, null]), -1, 'unprojected bubbles are skipped');
+}
+
+// End to end: a bigger, nearer bubble covers a smaller one behind it
+{
+  const small = projectBubble({ x: 30, y: 0, z: -300 }, 60, viewport);
+  const big = projectBubble({ x: 0, y: 0, z: 200 }, 60 * 1.6, viewport);
+
+  assert.strictEqual(findBubbleAtPoint(small.x, small.y, [small, big]), 1);
+}
+
+// Hover and selection enlarge the hit circle like they enlarge the drawn bubble
+{
+  assert.strictEqual(getBubbleScale({ scale: 1 }), 1);
+  near(getBubbleScale({ scale: 1, isHovered: true }), BUBBLE_STATE_SCALES.hovered, 'hovered');
+  near(getBubbleScale({ scale: 1, isHovered: true, isSelected: true }), BUBBLE_STATE_SCALES.selected, 'selection wins');
+  near(getBubbleScale({ scale: 1.5, isSelected: true }), 1.5 * BUBBLE_STATE_SCALES.selected, 'times the item scale');
+
+  // A click on the ring of a selected 120px bubble, beyond the plain edge plus tolerance
+  const point = { x: 0, y: 0, z: 0 };
+  const clickX = viewport.centerX + 71;
+  const plain = projectBubble(point, 60 * getBubbleScale({ scale: 1 }), viewport);
+  const selected = projectBubble(point, 60 * getBubbleScale({ scale: 1, isSelected: true }), viewport);
+
+  assert.strictEqual(findBubbleAtPoint(clickX, viewport.centerY, [plain], 0), -1);
+  assert.strictEqual(findBubbleAtPoint(clickX, viewport.centerY, [selected], 0), 0);
+
+  // ...and it beats a bigger bubble behind it whose edge also covers the point
+  const behind = projectBubble({ x: 120, y: 0, z: -100 }, 60, viewport);
+  assert.strictEqual(findBubbleAtPoint(clickX, viewport.centerY, [behind, selected]), 1);
+}
+
+console.log('bubbleProjection tests passed');
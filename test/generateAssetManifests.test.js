@@ -0,0 +1,215 @@
+/**
+ * Asset manifest generator tests: file sniffing, image sizes, curator fields and --check
+ * Run with: node test/generateAssetManifests.test.js (or node --test test/)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  detectMediaType,
+  readImageSize,
+  inspectMediaFile,
+  buildFolderManifest
+} = require('../scripts/generate-asset-manifests.js');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'generate-asset-manifests.js');
+
+/**
+ * Build the smallest headers the generator reads, for a given size
+ * @param {Number} width - Width in px
+ * @param {Number} height - Height in px
+ * @returns {Object} Buffers by format
+ */
+function makeImages(width, height) {
+  const png = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png, 0);
+  png.write('IHDR', 12, 'ascii');
+  png.writeUInt32BE(width, 16);
+  png.writeUInt32BE(height, 20);
+
+  const gif = Buffer.alloc(10);
+  gif.write('GIF89a', 0, 'ascii');
+  gif.writeUInt16LE(width, 6);
+  gif.writeUInt16LE(height, 8);
+
+  // SOI, a 16 byte APP0 segment to skip, then a baseline start-of-frame
+  const jpeg = Buffer.alloc(2 + 18 + 12);
+  Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]).copy(jpeg, 0);
+  Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08]).copy(jpeg, 20);
+  jpeg.writeUInt16BE(height, 25);
+  jpeg.writeUInt16BE(width, 27);
+
+  const webp = chunk => {
+    const buffer = Buffer.alloc(30);
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.write('WEBP', 8, 'ascii');
+    buffer.write(chunk, 12, 'ascii');
+    return buffer;
+  };
+
+  const vp8 = webp('VP8 ');
+  vp8.writeUInt16LE(width, 26);
+  vp8.writeUInt16LE(height, 28);
+
+  const vp8l = webp('VP8L');
+  vp8l.writeUInt32LE((width - 1) | ((height - 1) << 14), 21);
+
+  const vp8x = webp('VP8X');
+  vp8x.writeUIntLE(width - 1, 24, 3);
+  vp8x.writeUIntLE(height - 1, 27, 3);
+
+  return { png, gif, jpeg, vp8, vp8l, vp8x };
+}
+
+/**
+ * Run a callback with a scratch directory that is removed afterwards
+ * @param {Function} callback - Called with the directory path
+ */
+function withTempDir(callback) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asset-manifests-'));
+  try {
+    callback(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function writeFile(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+}
+
+function createReport() {
+  const report = { errors: [], warnings: [] };
+  report.error = message => report.errors.push(message);
+  report.warn = message => report.warnings.push(message);
+  return report;
+}
+
+const images = makeImages(640, 480);
+const options = { check: false, maxSizeBytes: 5 * 1024 * 1024 };
+
+// detectMediaType: sniffs the leading bytes, not the file name
+{
+  assert.deepStrictEqual(detectMediaType(images.png), { type: 'image', format: 'png' });
+  assert.deepStrictEqual(detectMediaType(images.gif), { type: 'image', format: 'gif' });
+  assert.deepStrictEqual(detectMediaType(images.jpeg), { type: 'image', format: 'jpeg' });
+  assert.deepStrictEqual(detectMediaType(images.vp8x), { type: 'image', format: 'webp' });
+
+  const mp4 = Buffer.alloc(12);
+  mp4.write('ftypisom', 4, 'ascii');
+  assert.deepStrictEqual(detectMediaType(mp4), { type: 'video', format: 'mp4' });
+
+  const mov = Buffer.alloc(12);
+  mov.write('ftypqt  ', 4, 'ascii');
+  assert.deepStrictEqual(detectMediaType(mov), { type: 'video', format: 'mov' });
+
+  assert.deepStrictEqual(detectMediaType(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])), { type: 'video', format: 'webm' });
+  assert.strictEqual(detectMediaType(Buffer.from('just some text')), null);
+  assert.strictEqual(detectMediaType(Buffer.alloc(0)), null);
+}
+
+// readImageSize: every supported image header
+{
+  ['png', 'gif', 'jpeg'].forEach(format => {
+    assert.deepStrictEqual(readImageSize(images[format], format), { width: 640, height: 480 }, format);
+  });
+  ['vp8', 'vp8l', 'vp8x'].forEach(chunk => {
+    assert.deepStrictEqual(readImageSize(images[chunk], 'webp'), { width: 640, height: 480 }, chunk);
+  });
+
+  // Truncated headers give up instead of reading garbage
+  assert.strictEqual(readImageSize(images.png.subarray(0, 20), 'png'), null);
+  assert.strictEqual(readImageSize(images.jpeg.subarray(0, 20), 'jpeg'), null);
+}
+
+// inspectMediaFile: an extension that lies about the contents is an error
+withTempDir(dir => {
+  writeFile(path.join(dir, 'photo.png'), images.png);
+  writeFile(path.join(dir, 'clip.mp4'), images.png);
+  writeFile(path.join(dir, 'notes.jpg'), 'not an image');
+
+  assert.deepStrictEqual(inspectMediaFile(path.join(dir, 'photo.png')),
+    { size: images.png.length, type: 'image', width: 640, height: 480 });
+  assert.match(inspectMediaFile(path.join(dir, 'clip.mp4')).error, /extension says video/);
+  assert.match(inspectMediaFile(path.join(dir, 'notes.jpg')).error, /not a supported/);
+});
+
+// buildFolderManifest: alt, caption and order entered by a curator survive a rebuild
+withTempDir(dir => {
+  const folderPath = path.join(dir, 'demo');
+  writeFile(path.join(folderPath, 'works', '1.png'), images.png);
+  writeFile(path.join(folderPath, 'works', '2.gif'), images.gif);
+  writeFile(path.join(folderPath, 'works', '10.jpg'), images.jpeg);
+
+  const item = { id: 1, title: 'Demo', cards: [{ id: 'works', title: 'Works' }] };
+  const previous = {
+    version: 1,
+    media: {
+      works: [
+        { file: '10.jpg', type: 'image', order: 1, alt: 'Poster', caption: 'Poster, 2024' },
+        { file: '1.png', type: 'image', order: 4 },
+        { file: 'gone.png', type: 'image', order: 2 }
+      ]
+    }
+  };
+
+  const report = createReport();
+  const manifest = buildFolderManifest(folderPath, item, previous, options, report);
+  const byFile = new Map(manifest.media.works.map(entry => [entry.file, entry]));
+
+  assert.deepStrictEqual(report.errors, []);
+  assert.deepStrictEqual(manifest.media.works.map(entry => entry.file), ['1.png', '2.gif', '10.jpg'], 'natural sort');
+  assert.strictEqual(byFile.get('10.jpg').alt, 'Poster');
+  assert.strictEqual(byFile.get('10.jpg').caption, 'Poster, 2024');
+  assert.strictEqual(byFile.get('10.jpg').order, 1);
+  assert.strictEqual(byFile.get('1.png').order, 4);
+  assert.strictEqual(byFile.get('2.gif').order, 5, 'new files go after the highest existing order');
+  assert.strictEqual(byFile.get('2.gif').alt, undefined);
+  assert.deepStrictEqual([byFile.get('1.png').width, byFile.get('1.png').height], [640, 480]);
+  assert.ok(report.warnings.some(message => message.includes('gone.png')), 'dropped files are reported');
+});
+
+// CLI: --check writes nothing and exits non-zero while anything is wrong
+withTempDir(root => {
+  const run = (...args) => spawnSync(process.execPath, [SCRIPT, `--root=${root}`, ...args], { encoding: 'utf8' });
+
+  writeFile(path.join(root, 'data', 'portfolios.json'), JSON.stringify({
+    version: 1,
+    portfolios: [{
+      id: 1,
+      title: 'Demo',
+      description: 'Demo portfolio',
+      image: 'assets/images/demo.png',
+      color: '#4A90E2',
+      folder: 'demo',
+      cards: [{ id: 'works', title: 'Works' }]
+    }]
+  }));
+  writeFile(path.join(root, 'assets', 'images', 'demo.png'), images.png);
+  writeFile(path.join(root, 'assets', 'portfolios', 'demo', 'works', '1.png'), images.png);
+  const manifestPath = path.join(root, 'assets', 'portfolios', 'demo', 'manifest.json');
+
+  const missing = run('--check');
+  assert.strictEqual(missing.status, 1, missing.stdout + missing.stderr);
+  assert.match(missing.stderr, /out of date/);
+  assert.ok(!fs.existsSync(manifestPath), '--check must not write');
+
+  const generate = run();
+  assert.strictEqual(generate.status, 0, generate.stdout + generate.stderr);
+  assert.ok(fs.existsSync(manifestPath));
+  assert.strictEqual(run('--check').status, 0, 'an up to date tree passes');
+
+  writeFile(path.join(root, 'assets', 'portfolios', 'demo', 'works', 'fake.jpg'), 'not an image');
+  const invalid = run('--check');
+  assert.strictEqual(invalid.status, 1);
+  assert.match(invalid.stderr, /fake\.jpg: not a supported/);
+
+  assert.strictEqual(run('--nope').status, 2, 'bad arguments');
+  assert.ok(!/config\.js is loading/.test(generate.stdout), 'loading config.js prints nothing');
+});
+
+console.log('generateAssetManifests tests passed');
@@ -0,0 +1,86 @@
+/**
+ * Memory Hall collision tests
+ * Run with: node test/hallCollision.test.js (or node --test test/)
+ */
+
+const assert = require('assert');
+const {
+  HALL_CAMERA_RADIUS,
+  HALL_CARD_SIZE,
+  HALL_CARD_DEPTH,
+  HALL_WALL_OFFSET,
+  getHallGeometry,
+  resolveHallMovement
+} = require('../js/hallCollision.js');
+
+// Two cards like DetailView.calculateHallLayout() makes them: left at z 0, right at z -600
+const layout = {
+  slots: [
+    { side: -1, x: -650, z: 0, rotateY: 90 },
+    { side: 1, x: 650, z: -600, rotateY: -90 }
+  ],
+  titleZ: -1500
+};
+const geometry = getHallGeometry(layout, 600);
+const radius = HALL_CAMERA_RADIUS;
+const leftFace = -650 + HALL_CARD_DEPTH / 2;
+
+// Walking straight at a card stops the camera at its face
+{
+  const reached = resolveHallMovement({ x: 0, z: 0 }, { x: -700, z: 0 }, geometry);
+  assert.strictEqual(reached.x, leftFace + radius);
+  assert.strictEqual(reached.z, 0);
+}
+
+// A fast move can't tunnel through the card's thin face
+{
+  const reached = resolveHallMovement({ x: -300, z: 50 }, { x: -2000, z: 50 }, geometry);
+  assert.strictEqual(reached.x, leftFace + radius);
+}
+
+// Walking diagonally into a card slides along its face instead of stopping
+{
+  const reached = resolveHallMovement({ x: -560, z: 100 }, { x: -620, z: 40 }, geometry);
+  assert.strictEqual(reached.x, leftFace + radius);
+  assert.strictEqual(reached.z, 40);
+}
+
+// Side walls clamp across the hallway but let the camera slide along them
+{
+  // Past the cards (z 400 is beyond the left card's end at 200 plus the radius)
+  const reached = resolveHallMovement({ x: -700, z: 400 }, { x: -900, z: 300 }, geometry);
+  assert.strictEqual(reached.x, -HALL_WALL_OFFSET + radius);
+  assert.strictEqual(reached.z, 300);
+}
+
+// The title card closes the far end; the entrance needs no clearance
+{
+  assert.strictEqual(resolveHallMovement({ x: 0, z: -1400 }, { x: 0, z: -1600 }, geometry).z, -1500 + radius);
+  assert.strictEqual(resolveHallMovement({ x: 0, z: 500 }, { x: 0, z: 700 }, geometry).z, 600);
+}
+
+// Cards block all the way back to the wall: there is no strip behind a card
+{
+  const [left, right] = geometry.colliders;
+  assert.strictEqual(left.minX, -HALL_WALL_OFFSET);
+  assert.strictEqual(left.maxX, leftFace);
+  assert.strictEqual(right.minX, 650 - HALL_CARD_DEPTH / 2);
+  assert.strictEqual(right.maxX, HALL_WALL_OFFSET);
+  assert.strictEqual(left.maxZ - left.minZ, HALL_CARD_SIZE);
+
+  // Walking along the wall (between the card's back and the wall plane) runs into the card's end
+  const along = resolveHallMovement({ x: -735, z: 400 }, { x: -735, z: 0 }, geometry);
+  assert.strictEqual(along.z, HALL_CARD_SIZE / 2 + radius);
+
+  // Walking sideways into the wall next to a card can't end up behind it
+  const sideways = resolveHallMovement({ x: -500, z: 150 }, { x: -760, z: 150 }, geometry);
+  assert.ok(sideways.x >= leftFace + radius, `camera slipped behind the card at x ${sideways.x}`);
+}
+
+// A camera already inside a card (e.g. after the layout changed) can walk back out
+{
+  const reached = resolveHallMovement({ x: -650, z: 0 }, { x: -300, z: 0 }, geometry);
+  assert.strictEqual(reached.x, -300);
+}
+
+console.log('hallCollision tests passed');
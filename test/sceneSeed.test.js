@@ -0,0 +1,88 @@
+/**
+ * Scene seed tests: the same seed gives the same random numbers, colors and layouts
+ * Run with: node test/sceneSeed.test.js (or node --test test/)
+ */
+
+const assert = require('assert');
+const utils = require('../js/utils.js');
+const { createSeededRandom, getItemColor, getSceneSeed, DEFAULT_SCENE_SEED } = utils;
+
+// bubbleLayouts.js uses the generator as a page global
+globalThis.createSeededRandom = createSeededRandom;
+const { BUBBLE_LAYOUTS } = require('../js/bubbleLayouts.js');
+
+function sequence(seed, length) {
+  const random = createSeededRandom(seed);
+  return Array.from({ length }, () => random());
+}
+
+const items = Array.from({ length: 14 }, (item, index) => ({ id: index + 1, title: `Item ${index + 1}` }));
+const layoutOptions = seed => ({ radius: 500, jitter: 50, random: createSeededRandom(seed), seed: seed });
+
+// createSeededRandom: same seed, same sequence; numbers and strings both work
+{
+  assert.deepStrictEqual(sequence(42, 20), sequence(42, 20));
+  assert.deepStrictEqual(sequence('gallery', 20), sequence('gallery', 20));
+  assert.notDeepStrictEqual(sequence(42, 20), sequence(43, 20));
+
+  sequence('range', 1000).forEach(value => {
+    assert.ok(value >= 0 && value < 1, `out of range: ${value}`);
+  });
+}
+
+// getItemColor: stable per seed and item, independent of other items, data colors win
+{
+  const item = { id: 7 };
+  assert.strictEqual(getItemColor(item, 'a'), getItemColor({ id: 7 }, 'a'));
+  assert.notStrictEqual(getItemColor(item, 'a'), getItemColor(item, 'b'));
+  assert.notStrictEqual(getItemColor({ id: 7 }, 'a'), getItemColor({ id: 8 }, 'a'));
+  assert.match(getItemColor(item, 'a'), /^hsl\(\d+, \d+%, \d+%\)$/);
+  assert.strictEqual(getItemColor({ id: 7, color: '#4A90E2' }, 'a'), '#4A90E2');
+
+  // Other items' colors don't shift when one is removed
+  const before = items.map(each => getItemColor(each, 'museum'));
+  const after = items.slice(1).map(each => getItemColor(each, 'museum'));
+  assert.deepStrictEqual(after, before.slice(1));
+}
+
+// seededSphere: the same seed places every bubble in the same spot
+{
+  const first = BUBBLE_LAYOUTS.seededSphere(items, layoutOptions(5));
+  const second = BUBBLE_LAYOUTS.seededSphere(items, layoutOptions(5));
+  const other = BUBBLE_LAYOUTS.seededSphere(items, layoutOptions(6));
+
+  assert.deepStrictEqual(first, second);
+  assert.notDeepStrictEqual(first, other);
+
+  // Without a seed option it is seeded from the item ids, whatever the scene seed
+  const byIds = options => BUBBLE_LAYOUTS.seededSphere(items, Object.assign(options, { seed: undefined }));
+  assert.deepStrictEqual(byIds(layoutOptions('x')), byIds(layoutOptions('y')));
+}
+
+// sphere: follows the scene seed's generator
+{
+  assert.deepStrictEqual(
+    BUBBLE_LAYOUTS.sphere(items, layoutOptions('museum:layout')),
+    BUBBLE_LAYOUTS.sphere(items, layoutOptions('museum:layout'))
+  );
+}
+
+// getSceneSeed: ?seed= beats the config seed, which beats the default
+{
+  const withUrl = search => {
+    globalThis.window = { location: { search: search } };
+    try {
+      return getSceneSeed(12);
+    } finally {
+      delete globalThis.window;
+    }
+  };
+
+  assert.strictEqual(withUrl('?seed=abc'), 'abc');
+  assert.strictEqual(withUrl('?layout=grid&seed=7'), '7');
+  assert.strictEqual(withUrl(''), 12);
+  assert.strictEqual(getSceneSeed(undefined), DEFAULT_SCENE_SEED);
+  assert.strictEqual(getSceneSeed(0), 0, 'a zero seed is still a seed');
+}
+
+console.log('Scene seed tests passed');